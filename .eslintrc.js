@@ -2,7 +2,7 @@ module.exports = {
     env: {
       node: true,
       jest: true,
-      es6: true
+      es2021: true
     },
     extends: 'eslint:recommended',
     parserOptions: {
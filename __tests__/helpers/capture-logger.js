@@ -0,0 +1,19 @@
+// __tests__/helpers/capture-logger.js
+const { createLogger } = require('../../src/logger');
+
+/**
+ * Create a logger that records each entry instead of writing it
+ * @param {string} level - Logger level
+ * @returns {object} { logger, entries }
+ */
+const createCaptureLogger = (level = 'info') => {
+    const entries = [];
+    const logger = createLogger({
+        level,
+        transport: undefined,
+        hooks: { logMethod: (args) => entries.push(args[0]) }
+    });
+    return { logger, entries };
+};
+
+module.exports = { createCaptureLogger };
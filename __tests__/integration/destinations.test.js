@@ -0,0 +1,85 @@
+// __tests__/integration/destinations.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pino = require('pino');
+const { createLogger } = require('../../src/logger');
+const getTransport = require('../../src/logger/transport');
+const { setConfigOverrides } = require('../../src/config/constants');
+
+describe('Log destinations', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-destinations-'));
+    });
+
+    afterEach(() => {
+        setConfigOverrides({});
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const readLines = (file) => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '')
+        .split('\n')
+        .filter(Boolean);
+
+    it('should build one target per destination', () => {
+        setConfigOverrides({
+            LOG_DESTINATIONS: JSON.stringify([
+                { type: 'stdout', format: 'pretty', level: 'debug' },
+                { type: 'file', path: path.join(dir, 'errors.log'), format: 'text', level: 'error' }
+            ])
+        });
+
+        const { targets } = getTransport();
+
+        expect(targets).toHaveLength(2);
+        expect(targets[0]).toMatchObject({ target: 'pino-pretty', level: 'debug', options: { colorize: true, destination: 1 } });
+        expect(targets[1]).toMatchObject({
+            target: 'pino-pretty',
+            level: 'error',
+            options: { colorize: false, singleLine: true, destination: path.join(dir, 'errors.log') }
+        });
+    });
+
+    it('should reject unknown destination types and formats', () => {
+        setConfigOverrides({ LOG_DESTINATIONS: [{ type: 'syslog' }] });
+        expect(() => getTransport()).toThrow('Unknown log destination type "syslog"');
+
+        setConfigOverrides({ LOG_DESTINATIONS: [{ type: 'stdout', format: 'xml' }] });
+        expect(() => getTransport()).toThrow('Unknown log destination format "xml"');
+    });
+
+    it('should route formatted logs by level', async () => {
+        const allFile = path.join(dir, 'all.log');
+        const errorFile = path.join(dir, 'errors.log');
+        setConfigOverrides({
+            LOG_DESTINATIONS: [
+                { type: 'file', path: allFile },
+                { type: 'file', path: errorFile, level: 'error' }
+            ]
+        });
+
+        const logger = createLogger({ level: 'info' });
+        logger.info('Loan approved', { loanId: 42 });
+        logger.error('Bureau call failed');
+
+        const stream = logger[pino.symbols.streamSym];
+        for (let attempt = 0; attempt < 30 && readLines(allFile).length < 2; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        await new Promise(resolve => {
+            stream.once('close', resolve);
+            stream.end();
+        });
+
+        const all = readLines(allFile).map(line => JSON.parse(line));
+        const errors = readLines(errorFile).map(line => JSON.parse(line));
+
+        expect(all.map(entry => entry.message)).toEqual(['Loan approved', 'Bureau call failed']);
+        expect(all[0].severity).toBe('INFO');
+        expect(all[0].loanId).toBe(42);
+        expect(errors.map(entry => entry.message)).toEqual(['Bureau call failed']);
+        expect(errors[0].severity).toBe('ERROR');
+    });
+});
@@ -0,0 +1,125 @@
+// __tests__/integration/http-instrumentation.test.js
+const http = require('http');
+const asyncLocalStorage = require('../../src/context/async-context');
+const RequestContext = require('../../src/context');
+const {
+    enableHttpInstrumentation,
+    disableHttpInstrumentation
+} = require('../../src/utils/http-instrumentation');
+
+// Node 14 has no global fetch
+const itWithFetch = typeof fetch === 'function' ? it : it.skip;
+
+describe('HTTP Instrumentation', () => {
+    let server;
+    let baseUrl;
+    let receivedHeaders;
+    let logMessages;
+    let mockLogger;
+    let parentContext;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            receivedHeaders = req.headers;
+            res.statusCode = req.url === '/missing' ? 404 : 200;
+            res.end('ok');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        receivedHeaders = null;
+        logMessages = [];
+        mockLogger = {
+            info: jest.fn(msg => logMessages.push({ level: 'info', msg })),
+            warn: jest.fn(msg => logMessages.push({ level: 'warn', msg })),
+            error: jest.fn(msg => logMessages.push({ level: 'error', msg }))
+        };
+        parentContext = RequestContext.create({
+            headers: { 'x-request-id': 'req-123' }
+        });
+        enableHttpInstrumentation(mockLogger);
+    });
+
+    afterEach(() => {
+        disableHttpInstrumentation();
+    });
+
+    const httpGet = (url) => new Promise((resolve, reject) => {
+        http.get(url, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res));
+        }).on('error', reject);
+    });
+
+    it('should inject trace headers and log outbound http calls', async () => {
+        await asyncLocalStorage.run(parentContext, () => httpGet(`${baseUrl}/partners`));
+
+        expect(receivedHeaders['x-request-id']).toBe('req-123');
+        expect(receivedHeaders.traceparent).toContain(parentContext.traceId);
+        expect(receivedHeaders.traceparent).not.toContain(parentContext.spanId);
+
+        const types = logMessages.map(log => log.msg.type);
+        expect(types).toEqual(['outbound_request', 'outbound_response']);
+
+        const responseLog = logMessages[1].msg;
+        expect(responseLog.outbound.statusCode).toBe(200);
+        expect(responseLog.outbound.method).toBe('GET');
+        expect(responseLog.outbound.path).toBe('/partners');
+        expect(responseLog['logging.googleapis.com/labels'].parentSpanId).toBe(parentContext.spanId);
+        expect(typeof responseLog.outbound.response_time_ms).toBe('number');
+    });
+
+    it('should log failed calls without handling the error for the caller', async () => {
+        const closedServer = http.createServer();
+        await new Promise(resolve => closedServer.listen(0, '127.0.0.1', resolve));
+        const closedUrl = `http://127.0.0.1:${closedServer.address().port}/partners`;
+        await new Promise(resolve => closedServer.close(resolve));
+
+        const error = await asyncLocalStorage.run(parentContext, () => new Promise(resolve => {
+            const clientRequest = http.get(closedUrl);
+            expect(clientRequest.listenerCount('error')).toBe(0);
+            clientRequest.on('error', resolve);
+        }));
+
+        expect(error.code).toBe('ECONNREFUSED');
+        expect(logMessages[1].level).toBe('error');
+        expect(logMessages[1].msg.type).toBe('outbound_response');
+    });
+
+    itWithFetch('should inject trace headers into fetch calls', async () => {
+        const response = await asyncLocalStorage.run(parentContext, () => fetch(`${baseUrl}/missing`));
+
+        expect(response.status).toBe(404);
+        expect(receivedHeaders.traceparent).toContain(parentContext.traceId);
+        expect(logMessages[1].level).toBe('warn');
+        expect(logMessages[1].msg.outbound.statusCode).toBe(404);
+    });
+
+    itWithFetch('should accept a null fetch init', async () => {
+        const response = await asyncLocalStorage.run(parentContext, () => fetch(`${baseUrl}/partners`, null));
+
+        expect(response.status).toBe(200);
+        expect(receivedHeaders.traceparent).toContain(parentContext.traceId);
+    });
+
+    itWithFetch('should keep headers set by the caller', async () => {
+        await asyncLocalStorage.run(parentContext, () => fetch(baseUrl, {
+            headers: { 'x-request-id': 'caller-id' }
+        }));
+
+        expect(receivedHeaders['x-request-id']).toBe('caller-id');
+    });
+
+    it('should leave calls outside a request context untouched', async () => {
+        await httpGet(baseUrl);
+
+        expect(receivedHeaders.traceparent).toBeUndefined();
+        expect(logMessages.length).toBe(0);
+    });
+});
@@ -0,0 +1,112 @@
+// __tests__/integration/instances.test.js
+const express = require('express');
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Logger instances', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-instances-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const readEntries = (file) => (fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+
+    it('should not create a logger or install process handlers on import', () => {
+        const listeners = () => ['uncaughtException', 'SIGTERM'].map(event => process.listenerCount(event));
+        const before = listeners();
+
+        jest.isolateModules(() => {
+            const { configure } = require('../../src');
+            expect(typeof configure).toBe('function');
+            expect(listeners()).toEqual(before);
+        });
+    });
+
+    it('should apply the shutdown signal settings of the latest configure()', () => {
+        const sigtermListeners = process.listenerCount('SIGTERM');
+
+        jest.isolateModules(() => {
+            const { configure, logger, disableShutdownSignals } = require('../../src');
+            try {
+                // Using the default logger first installs the handlers with the environment settings
+                expect(logger.level).toBe('info');
+                expect(process.listenerCount('SIGTERM')).toBe(sigtermListeners + 1);
+
+                configure({ LOG_SHUTDOWN_SIGNALS: 'none' });
+                expect(process.listenerCount('SIGTERM')).toBe(sigtermListeners);
+
+                configure({ LOG_SHUTDOWN_SIGNALS: 'SIGTERM' });
+                expect(process.listenerCount('SIGTERM')).toBe(sigtermListeners + 1);
+            } finally {
+                disableShutdownSignals();
+            }
+        });
+    });
+
+    it('should keep the config of each configure() call to its own instance', async () => {
+        const { configure, logger, disableShutdownSignals, getEffectiveConfig } = require('../../src');
+        const sigtermListeners = process.listenerCount('SIGTERM');
+        const adminFile = path.join(dir, 'admin.log');
+        const publicFile = path.join(dir, 'public.log');
+        const admin = configure({
+            LOG_TYPE: 'aws',
+            SERVICE_NAME: 'admin-api',
+            REQUEST_ID_RESPONSE_HEADER: 'x-admin-request-id',
+            LOG_DESTINATIONS: [{ type: 'file', path: adminFile }]
+        });
+        const publicApi = configure({
+            LOG_TYPE: 'gcp',
+            PROJECT_ID: 'loans-prod',
+            LOG_DESTINATIONS: [{ type: 'file', path: publicFile }]
+        });
+
+        const createApp = (instance) => {
+            const app = express();
+            app.use(instance.requestLoggerMiddleware);
+            app.get('/loans', (req, res) => {
+                req.log.info('Listing loans');
+                res.json([]);
+            });
+            return app;
+        };
+
+        try {
+            const adminResponse = await request(createApp(admin)).get('/loans').expect(200);
+            const publicResponse = await request(createApp(publicApi)).get('/loans').expect(200);
+
+            expect(adminResponse.headers['x-admin-request-id']).toBeDefined();
+            expect(adminResponse.headers['x-request-id']).toBeUndefined();
+            expect(publicResponse.headers['x-request-id']).toBeDefined();
+            expect(admin.getEffectiveConfig().LOG_TYPE).toEqual({ value: 'aws', source: 'configure' });
+            // The top-level exports follow the latest configure()
+            expect(getEffectiveConfig().LOG_TYPE).toEqual({ value: 'gcp', source: 'configure' });
+            logger.info('Top-level entry');
+            // Process-wide signal handlers are installed once for every instance
+            expect(process.listenerCount('SIGTERM')).toBe(sigtermListeners + 1);
+        } finally {
+            await Promise.all([admin.shutdown(), publicApi.shutdown()]);
+            disableShutdownSignals();
+        }
+
+        const adminRequest = readEntries(adminFile).find(entry => entry.type === 'request');
+        const publicRequest = readEntries(publicFile).find(entry => entry.type === 'request');
+
+        expect(adminRequest.service).toBe('admin-api');
+        expect(adminRequest.traceId).toMatch(/^1-/);
+        expect(adminRequest['logging.googleapis.com/logName']).toBeUndefined();
+        expect(publicRequest.service).toBe('express-app');
+        expect(publicRequest['logging.googleapis.com/logName']).toBe('projects/loans-prod/logs/api-logger');
+        expect(readEntries(publicFile).some(entry => entry.service === 'admin-api')).toBe(false);
+        expect(readEntries(publicFile).some(entry => entry.message === 'Top-level entry')).toBe(true);
+    });
+});
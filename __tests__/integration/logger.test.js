@@ -5,6 +5,10 @@ const fs = require('fs');
 const path = require('path');
 const { createRequestLogger, createErrorLogger } = require('../../src/middleware');
 const RequestContext = require('../../src/context');
+const asyncLocalStorage = require('../../src/context/async-context');
+const { createLogger } = require('../../src/logger');
+const { createDebugToken, getDebugTokenStats } = require('../../src/utils/debug-token');
+const { setConfigOverrides } = require('../../src/config/constants');
 
 describe('Logger Integration', () => {
   let app;
@@ -116,6 +120,260 @@ describe('Logger Integration', () => {
 
       expect(capturedContext.traceId).toBe(traceId);
     });
+
+    it('should log the upstream span as parent span', async () => {
+      app.get('/parent', (req, res) => res.json({ success: true }));
+
+      const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+      await request(app)
+        .get('/parent')
+        .set('traceparent', `00-${traceId}-00f067aa0ba902b7-01`)
+        .expect(200);
+
+      const responseLog = logMessages.find(log => log.msg.type === 'response');
+      expect(responseLog.msg['logging.googleapis.com/labels'].parentSpanId).toBe('00f067aa0ba902b7');
+    });
+  });
+
+  describe('Metadata', () => {
+    afterEach(() => {
+      setConfigOverrides({});
+    });
+
+    it('should add metadata set by handlers to the response log', async () => {
+      app.get('/loans/:id', (req, res) => {
+        RequestContext.get().setMetadata('loanId', req.params.id);
+        RequestContext.get().setMetadata('borrower', { name: 'Asha', email: 'asha@example.com' });
+        res.json({ success: true });
+      });
+
+      await request(app).get('/loans/42').expect(200);
+
+      const responseLog = logMessages.find(log => log.msg.type === 'response');
+      expect(responseLog.msg.loanId).toBe('42');
+      expect(responseLog.msg.borrower).toEqual({ name: 'Asha', email: '[REDACTED]' });
+    });
+
+    it('should only log allowlisted keys and let explicit fields win', () => {
+      setConfigOverrides({ LOG_METADATA_KEYS: 'loanId,type' });
+      const entries = [];
+      const logger = createLogger({
+        transport: undefined,
+        hooks: { logMethod: (args) => entries.push(args[0]) }
+      });
+      const context = RequestContext.create({ headers: {} });
+      context.setMetadata('loanId', 'L-1');
+      context.setMetadata('type', 'loan');
+      context.setMetadata('internalNote', 'skip');
+
+      asyncLocalStorage.run(context, () => {
+        logger.info('Loan approved');
+        logger.info({ message: 'Partner call', type: 'outbound' });
+      });
+
+      expect(entries[0]).toMatchObject({ loanId: 'L-1', type: 'loan' });
+      expect(entries[0].internalNote).toBeUndefined();
+      expect(entries[1].type).toBe('outbound');
+      expect(context.createChildContext().getMetadata('loanId')).toBe('L-1');
+    });
+
+    it('should add metadata to error logs', () => {
+      const context = RequestContext.create({ headers: {} });
+      context.setMetadata('userId', 'u-7');
+      const next = jest.fn();
+
+      asyncLocalStorage.run(context, () => {
+        createErrorLogger({ logger: mockLogger })(new Error('boom'), { path: '/loans', method: 'GET' }, {}, next);
+      });
+
+      expect(logMessages[0].msg.userId).toBe('u-7');
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('Identity', () => {
+    const token = [
+      Buffer.from('{"alg":"none"}').toString('base64'),
+      Buffer.from(JSON.stringify({ sub: 'user-42', tenant: 'dsa-north' })).toString('base64'),
+      'signature'
+    ].join('.');
+
+    it('should log JWT claims on request and response logs and redact the token', async () => {
+      let appContext;
+      app.get('/profile', (req, res) => {
+        appContext = RequestContext.get();
+        res.json({ success: true });
+      });
+
+      await request(app)
+        .get('/profile')
+        .set('authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const requestLog = logMessages.find(log => log.msg.type === 'request');
+      const responseLog = logMessages.find(log => log.msg.type === 'response');
+      expect(requestLog.msg.identity).toEqual({ sub: 'user-42', tenant: 'dsa-north' });
+      expect(requestLog.msg.headers.authorization).toBe('[REDACTED]');
+      expect(responseLog.msg.identity).toEqual({ sub: 'user-42', tenant: 'dsa-north' });
+      expect(appContext.identity.sub).toBe('user-42');
+    });
+
+    it('should resolve identity set by later middleware at response time', async () => {
+      app = express();
+      app.use(createRequestLogger({
+        logger: mockLogger,
+        getIdentity: (req) => req.user && { userId: req.user.id }
+      }));
+      app.use((req, res, next) => {
+        req.user = { id: 'u-7' };
+        next();
+      });
+      app.get('/late', (req, res) => res.json({ success: true }));
+
+      await request(app).get('/late').expect(200);
+
+      const requestLog = logMessages.find(log => log.msg.type === 'request');
+      const responseLog = logMessages.find(log => log.msg.type === 'response');
+      expect(requestLog.msg.identity).toBeUndefined();
+      expect(responseLog.msg.identity).toEqual({ userId: 'u-7' });
+    });
+
+    it('should add the identity to app and error logs', () => {
+      const entries = [];
+      const logger = createLogger({
+        transport: undefined,
+        hooks: { logMethod: (args) => entries.push(args[0]) }
+      });
+      const context = RequestContext.create({ headers: {} });
+      const req = { path: '/loans', method: 'GET', headers: { authorization: `Bearer ${token}` } };
+
+      asyncLocalStorage.run(context, () => {
+        createErrorLogger({ logger: mockLogger })(new Error('boom'), req, {}, jest.fn());
+        logger.info('after error');
+      });
+
+      expect(logMessages[0].msg.identity.sub).toBe('user-42');
+      expect(entries[0].identity).toEqual({ sub: 'user-42', tenant: 'dsa-north' });
+    });
+  });
+
+  describe('Debug Token', () => {
+    let entries;
+
+    beforeEach(() => {
+      setConfigOverrides({ LOG_DEBUG_SECRET: 'debug-secret' });
+      entries = [];
+      const logger = createLogger({
+        level: 'info',
+        transport: undefined,
+        hooks: { logMethod: (args) => entries.push(args[0]) }
+      });
+
+      app = express();
+      app.use(createRequestLogger({ logger }));
+      app.get('/debug', (req, res) => {
+        req.log.debug('from req.log');
+        logger.trace('from app logger');
+        res.json({ success: true });
+      });
+    });
+
+    afterEach(() => {
+      setConfigOverrides({});
+    });
+
+    it('should raise verbosity for requests with a valid token only', async () => {
+      await request(app)
+        .get('/debug')
+        .set('x-debug-log', createDebugToken({ level: 'trace' }))
+        .expect(200);
+      await request(app).get('/debug').expect(200);
+
+      const messages = entries.map(entry => entry.message);
+      expect(messages.filter(message => message === 'from req.log')).toHaveLength(1);
+      expect(messages.filter(message => message === 'from app logger')).toHaveLength(1);
+    });
+
+    it('should ignore and count invalid tokens', async () => {
+      const before = getDebugTokenStats().rejected;
+
+      await request(app)
+        .get('/debug')
+        .set('x-debug-log', `${createDebugToken()}tampered`)
+        .expect(200);
+
+      expect(entries.some(entry => entry.message === 'from req.log')).toBe(false);
+      expect(getDebugTokenStats().rejected).toBe(before + 1);
+    });
+  });
+
+  describe('Request Id', () => {
+    afterEach(() => {
+      setConfigOverrides({});
+    });
+
+    it('should echo the request id on the response', async () => {
+      app.get('/echo', (req, res) => res.json({ success: true }));
+
+      const response = await request(app)
+        .get('/echo')
+        .set('x-request-id', 'req-123')
+        .expect(200);
+
+      expect(response.headers['x-request-id']).toBe('req-123');
+      expect(response.headers.traceparent).toBeDefined();
+    });
+
+    it('should echo on the configured response header', async () => {
+      setConfigOverrides({
+        REQUEST_ID_HEADERS: 'x-correlation-id',
+        REQUEST_ID_RESPONSE_HEADER: 'x-correlation-id'
+      });
+      app.get('/echo', (req, res) => res.json({ success: true }));
+
+      const response = await request(app)
+        .get('/echo')
+        .set('x-correlation-id', 'corr-9')
+        .expect(200);
+
+      expect(response.headers['x-correlation-id']).toBe('corr-9');
+      expect(response.headers['x-request-id']).toBeUndefined();
+    });
+  });
+
+  describe('Sampling', () => {
+    afterEach(() => {
+      setConfigOverrides({});
+    });
+
+    it('should only log the response summary for unsampled requests', async () => {
+      setConfigOverrides({ TRACE_SAMPLER: 'always_off' });
+      app.get('/unsampled', (req, res) => res.json({ secret: 'payload' }));
+
+      const response = await request(app)
+        .get('/unsampled')
+        .expect(200);
+
+      expect(response.headers.traceparent).toMatch(/-00$/);
+      expect(logMessages.some(log => log.msg.type === 'request')).toBe(false);
+
+      const responseLog = logMessages.find(log => log.msg.type === 'response');
+      expect(responseLog.msg.response.body).toBeUndefined();
+      expect(responseLog.msg['logging.googleapis.com/trace_sampled']).toBe(false);
+    });
+
+    it('should log full bodies for sampled requests', async () => {
+      setConfigOverrides({ TRACE_SAMPLER: 'always_on' });
+      app.get('/sampled', (req, res) => res.json({ ok: true }));
+
+      await request(app)
+        .get('/sampled')
+        .expect(200);
+
+      expect(logMessages.some(log => log.msg.type === 'request')).toBe(true);
+      const responseLog = logMessages.find(log => log.msg.type === 'response');
+      expect(responseLog.msg.response.body).toEqual({ ok: true });
+    });
   });
 
   describe('Path Exclusion', () => {
@@ -0,0 +1,160 @@
+// __tests__/integration/otlp-transport.test.js
+const http = require('http');
+const pino = require('pino');
+const otlpTransport = require('../../src/logger/otlp-transport');
+const getTransport = require('../../src/logger/transport');
+const { formatJsonLog } = require('../../src/utils/formatters');
+const { setConfigOverrides } = require('../../src/config/constants');
+
+describe('OTLP log exporter', () => {
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const spanId = '00f067aa0ba902b7';
+
+    let server;
+    let endpoint;
+    let exports;
+
+    beforeAll(async () => {
+        // Stand-in for a local OpenTelemetry collector
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                exports.push({ headers: req.headers, url: req.url, body: JSON.parse(body) });
+                res.end('{}');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${server.address().port}/v1/logs`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        exports = [];
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        setConfigOverrides({});
+    });
+
+    it('should post formatted logs as OTLP LogRecords', async () => {
+        const stream = await otlpTransport({
+            endpoint,
+            headers: { authorization: 'Bearer collector-token' },
+            serviceName: 'loans-api'
+        });
+        const log = formatJsonLog({
+            message: 'Loan approved',
+            requestId: 'req-123',
+            traceId,
+            spanId,
+            sampled: true,
+            loanId: 42
+        });
+
+        stream.write(`${JSON.stringify({ ...log, level: 30, time: '2026-01-01T00:00:00.000Z' })}\n`);
+        stream.end();
+        await new Promise(resolve => stream.on('close', resolve));
+
+        expect(exports).toHaveLength(1);
+        expect(exports[0].url).toBe('/v1/logs');
+        expect(exports[0].headers.authorization).toBe('Bearer collector-token');
+
+        const [resourceLogs] = exports[0].body.resourceLogs;
+        expect(resourceLogs.resource.attributes).toEqual([
+            { key: 'service.name', value: { stringValue: 'loans-api' } }
+        ]);
+
+        const [record] = resourceLogs.scopeLogs[0].logRecords;
+        expect(record.timeUnixNano).toBe('1767225600000000000');
+        expect(record.severityNumber).toBe(9);
+        expect(record.severityText).toBe('INFO');
+        expect(record.body).toEqual({ stringValue: 'Loan approved' });
+        expect(record.traceId).toBe(traceId);
+        expect(record.spanId).toBe(spanId);
+        expect(record.flags).toBe(1);
+        expect(record.attributes).toContainEqual({ key: 'loanId', value: { intValue: '42' } });
+    });
+
+    it('should drop the oldest batches while the collector does not respond', async () => {
+        const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+        const received = [];
+        const stalledServer = http.createServer((req) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => received.push(JSON.parse(body)));
+        });
+        await new Promise(resolve => stalledServer.listen(0, '127.0.0.1', resolve));
+
+        const stream = await otlpTransport({
+            endpoint: `http://127.0.0.1:${stalledServer.address().port}/v1/logs`,
+            batchSize: 1,
+            timeoutMs: 200,
+            maxQueuedBatches: 2
+        });
+        for (let index = 1; index <= 5; index++) {
+            stream.write(`${JSON.stringify({ level: 30, message: `Loan ${index} approved` })}\n`);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        stream.end();
+        await new Promise(resolve => stream.on('close', resolve));
+        await new Promise(resolve => stalledServer.close(resolve));
+
+        const messages = received.map(body => body.resourceLogs[0].scopeLogs[0].logRecords[0].body.stringValue);
+        expect(messages).toEqual(['Loan 1 approved', 'Loan 4 approved', 'Loan 5 approved']);
+        expect(stderr).toHaveBeenCalledWith(expect.stringContaining('dropped 1 log records (2 in total)'));
+    });
+
+    it('should map AWS layout logs', () => {
+        const record = otlpTransport.toLogRecord({
+            level: 50,
+            timestamp: '2026-01-01T00:00:00.000Z',
+            message: 'Partner call failed',
+            traceId: '1-4bf92f35-77b34da6a3ce929d0e0e4736',
+            spanId,
+            sampled: false,
+            error: { message: 'timeout' }
+        });
+
+        expect(record.severityNumber).toBe(17);
+        expect(record.traceId).toBe(traceId);
+        expect(record.flags).toBe(0);
+        expect(record.attributes).toEqual([{
+            key: 'error',
+            value: { kvlistValue: { values: [{ key: 'message', value: { stringValue: 'timeout' } }] } }
+        }]);
+    });
+
+    it('should export pino logs when LOG_EXPORTER is otlp', async () => {
+        setConfigOverrides({
+            LOG_EXPORTER: 'otlp',
+            OTLP_LOGS_ENDPOINT: endpoint,
+            OTLP_HEADERS: 'x-tenant=ambak'
+        });
+        const transport = getTransport();
+        expect(transport.options.headers).toEqual({ 'x-tenant': 'ambak' });
+
+        const stream = pino.transport(transport);
+        const logger = pino({ messageKey: 'message' }, stream);
+        logger.warn({ traceId, spanId }, 'Slow partner response');
+
+        // end() blocks the main thread, where this collector runs, so wait for the interval flush first
+        for (let attempt = 0; attempt < 30 && exports.length === 0; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        await new Promise(resolve => {
+            stream.once('close', resolve);
+            stream.end();
+        });
+
+        const [record] = exports[0].body.resourceLogs[0].scopeLogs[0].logRecords;
+        expect(exports[0].headers['x-tenant']).toBe('ambak');
+        expect(record.severityNumber).toBe(13);
+        expect(record.body).toEqual({ stringValue: 'Slow partner response' });
+        expect(record.traceId).toBe(traceId);
+    });
+});
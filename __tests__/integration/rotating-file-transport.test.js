@@ -0,0 +1,159 @@
+// __tests__/integration/rotating-file-transport.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const rotatingFileTransport = require('../../src/logger/rotating-file-transport');
+const getTransport = require('../../src/logger/transport');
+const { setConfigOverrides } = require('../../src/config/constants');
+
+const { parseSize, parseDuration, applyRetention, reopenLogFiles } = rotatingFileTransport;
+
+describe('Rotating file transport', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-rotation-'));
+        file = path.join(dir, 'logs', 'app.log');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        setConfigOverrides({});
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const writeLine = async (stream, log) => {
+        stream.write(`${JSON.stringify(log)}\n`);
+        await new Promise(resolve => setImmediate(resolve));
+    };
+
+    const close = async (stream) => {
+        stream.end();
+        await new Promise(resolve => stream.on('close', resolve));
+    };
+
+    const rotatedFiles = () => fs.readdirSync(path.dirname(file))
+        .filter(name => name !== 'app.log')
+        .sort();
+
+    it('should parse sizes and durations', () => {
+        expect(parseSize('10m')).toBe(10 * 1024 * 1024);
+        expect(parseSize('1GB')).toBe(1024 ** 3);
+        expect(parseSize(512)).toBe(512);
+        expect(parseDuration('1d')).toBe(86400000);
+        expect(parseDuration('30m')).toBe(1800000);
+        expect(parseDuration(undefined)).toBe(0);
+        expect(() => parseSize('ten')).toThrow('Invalid log rotation setting "ten"');
+    });
+
+    it('should rotate by size, gzip rotated files and keep maxFiles', async () => {
+        const stream = await rotatingFileTransport({ path: file, maxSize: 100, maxFiles: 2 });
+
+        for (let index = 0; index < 5; index++) {
+            await writeLine(stream, { message: `Loan ${index} approved`, padding: 'x'.repeat(40) });
+        }
+        await close(stream);
+
+        const rotated = rotatedFiles();
+        expect(rotated).toHaveLength(2);
+        expect(rotated.every(name => name.endsWith('.gz'))).toBe(true);
+
+        const kept = rotated.map(name => JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(path.dirname(file), name)))));
+        expect(kept.map(log => log.message).sort()).toEqual(['Loan 2 approved', 'Loan 3 approved']);
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).message).toBe('Loan 4 approved');
+    });
+
+    it('should rotate at interval boundaries, named after the period', async () => {
+        const start = Date.parse('2026-01-01T10:15:00.000Z');
+        const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+        const stream = await rotatingFileTransport({ path: file, interval: '1h', compress: false });
+
+        await writeLine(stream, { message: 'first hour' });
+        now.mockReturnValue(start + 3600000);
+        await writeLine(stream, { message: 'second hour' });
+        await close(stream);
+
+        expect(rotatedFiles()).toEqual(['app.log.20260101-100000']);
+        expect(fs.readFileSync(path.join(path.dirname(file), 'app.log.20260101-100000'), 'utf8')).toContain('first hour');
+        expect(fs.readFileSync(file, 'utf8')).toContain('second hour');
+    });
+
+    it('should reopen the file when asked, after an external logrotate', async () => {
+        const start = Date.now();
+        const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+        const stream = await rotatingFileTransport({ path: file });
+
+        await writeLine(stream, { message: 'before logrotate' });
+        fs.renameSync(file, `${file}.1`);
+        reopenLogFiles();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        // Without BroadcastChannel (Node 14) the move is noticed by the next check on write
+        now.mockReturnValue(start + 1000);
+        await writeLine(stream, { message: 'after logrotate' });
+        await close(stream);
+
+        expect(fs.readFileSync(`${file}.1`, 'utf8')).not.toContain('after logrotate');
+        expect(fs.readFileSync(file, 'utf8')).toContain('after logrotate');
+    });
+
+    it('should keep writing to the old file when the new one cannot be opened', async () => {
+        const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+        const start = Date.now();
+        const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const stream = await rotatingFileTransport({ path: file, mkdir: false });
+
+        await writeLine(stream, { message: 'before move' });
+        fs.renameSync(path.dirname(file), path.join(dir, 'moved'));
+        reopenLogFiles();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        now.mockReturnValue(start + 1000);
+        await writeLine(stream, { message: 'after move' });
+        await close(stream);
+
+        expect(stderr).toHaveBeenCalledWith(expect.stringContaining(`Reopening log file ${file} failed`));
+        expect(fs.readFileSync(path.join(dir, 'moved', 'app.log'), 'utf8')).toContain('after move');
+    });
+
+    it('should keep writing when the file was moved away before a rotation', async () => {
+        const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+        const stream = await rotatingFileTransport({ path: file, maxSize: 100 });
+
+        await writeLine(stream, { message: 'Loan 1 approved', padding: 'x'.repeat(40) });
+        fs.rmSync(path.dirname(file), { recursive: true });
+        await writeLine(stream, { message: 'Loan 2 approved', padding: 'x'.repeat(40) });
+        await writeLine(stream, { message: 'Loan 3 approved', padding: 'x'.repeat(40) });
+        await close(stream);
+
+        expect(stderr).toHaveBeenCalledWith(expect.stringContaining(`Log file rotation of ${file} failed`));
+        expect(fs.readFileSync(file, 'utf8')).toContain('Loan 3 approved');
+    });
+
+    it('should delete rotated files older than maxAge', () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(`${file}.20250101-000000.gz`, '');
+        fs.writeFileSync(`${file}.20260101-000000.gz`, '');
+        const old = new Date(Date.now() - 30 * 86400000);
+        fs.utimesSync(`${file}.20250101-000000.gz`, old, old);
+
+        applyRetention(file, { maxFiles: 0, maxAgeMs: parseDuration('14d') });
+
+        expect(rotatedFiles()).toEqual(['app.log.20260101-000000.gz']);
+    });
+
+    it('should use the transport for file destinations with rotate', () => {
+        setConfigOverrides({
+            LOG_DESTINATIONS: [{ type: 'file', path: file, rotate: { maxSize: '50m', maxFiles: 7 } }]
+        });
+
+        const [target] = getTransport().targets;
+        expect(target.target).toBe(path.join(__dirname, '../../src/logger/rotating-file-transport.js'));
+        expect(target.options).toEqual({ maxSize: '50m', maxFiles: 7, path: file });
+        expect(process.listenerCount('SIGHUP')).toBe(1);
+
+        setConfigOverrides({ LOG_DESTINATIONS: [{ type: 'file', path: file, format: 'pretty', rotate: true }] });
+        expect(() => getTransport()).toThrow('only support the json format');
+    });
+});
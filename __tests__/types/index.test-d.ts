@@ -0,0 +1,134 @@
+// __tests__/types/index.test-d.ts
+// Type-level tests for src/index.d.ts, checked with `npm run test:types`
+import express, { ErrorRequestHandler, RequestHandler } from 'express';
+import {
+    configure,
+    logger,
+    getLogger,
+    createRequestLogger,
+    createErrorLogger,
+    requestLoggerMiddleware,
+    errorLoggerMiddleware,
+    withJobContext,
+    registerPropagator,
+    RequestContext,
+    TraceContext,
+    SEVERITYLEVEL,
+    CONTENT_LIMITS,
+    sanitizeBody,
+    sanitizeHeaders,
+    setLevel,
+    getEffectiveConfig,
+    shutdown,
+    Logger,
+    LoggerInstance,
+    EffectiveConfig
+} from '../../src';
+
+const expectType = <T>(_value: T): void => {};
+
+// configure() and its options
+const instance = configure({
+    LOG_LEVEL: 'debug',
+    LOG_TYPE: 'aws',
+    LOG_REGISTER: 2,
+    SERVICE_NAME: 'loans-api',
+    LOGGER_SENSITIVE_FIELDS: ['pan', 'aadhaar'],
+    LOG_LEVELS: { 'payments:*': 'debug' },
+    LOG_DESTINATIONS: [
+        { type: 'stdout', format: 'pretty', level: 'debug' },
+        { type: 'file', path: '/var/log/app.log', rotate: { maxSize: '100m', interval: '1d', maxFiles: 14 } }
+    ],
+    REQUEST_ID_GENERATOR: () => 'id',
+    TRACE_SAMPLE_ROUTES: { '/health': 0 },
+    LOG_SUPPRESSION_LIMITS: { error: 10, '*': 50 },
+    LOG_SAMPLE_RATES: { info: 0.5, 'request:info': 0.1 },
+    OTEL_BRIDGE: true
+});
+expectType<LoggerInstance>(instance);
+expectType<RequestHandler>(instance.requestLoggerMiddleware);
+expectType<ErrorRequestHandler>(instance.errorLoggerMiddleware);
+expectType<EffectiveConfig>(instance.getEffectiveConfig());
+expectType<'configure' | 'env' | 'default'>(instance.getEffectiveConfig().LOG_TYPE.source);
+expectType<Promise<void>>(instance.shutdown({ gracePeriodMs: 1000 }));
+expectType<string | undefined>(instance.setLevel('trace', { revertAfterMs: 60000 }));
+expectType<string>(instance.createDebugToken({ level: 'trace', ttlSeconds: 60 }));
+
+// @ts-expect-error unknown LOG_TYPE
+configure({ LOG_TYPE: 'azure' });
+// @ts-expect-error unknown option
+configure({ LOG_LEVLE: 'info' });
+// @ts-expect-error fatal is never suppressed
+configure({ LOG_SUPPRESSION_LIMITS: { fatal: 1 } });
+// @ts-expect-error unknown destination format
+configure({ LOG_DESTINATIONS: [{ type: 'stdout', format: 'xml' }] });
+
+// Logger
+logger.info('Loan approved', { loanId: 42 });
+logger.error({ message: 'Bureau call failed', type: 'bureau' });
+const payments: Logger = getLogger('payments:razorpay');
+payments.child({ gateway: 'razorpay' }, { level: 'debug' }).debug('Order created');
+expectType<Promise<void>>(logger.flush());
+expectType<number>(logger.span('bureau.fetch', (context) => context.spanId.length, { attributes: { bureau: 'cibil' } }));
+// @ts-expect-error log methods take a message or an object
+logger.info(42);
+
+// Middleware options
+const app = express();
+app.use(requestLoggerMiddleware);
+app.use(createRequestLogger({
+    logger: instance.logger,
+    excludePaths: ['/health', '/internal/*'],
+    logResponseBody: false,
+    getTargetService: (req) => req.path.split('/')[2],
+    getIdentity: (req) => ({ sub: req.get('x-user-id') }),
+    baseLogData: { team: 'loans' }
+}));
+app.get('/loans', (req, res) => {
+    req.log.info('Listing loans');
+    res.json([]);
+});
+app.use(createErrorLogger({
+    logStackTrace: false,
+    includeBody: true,
+    getErrorContext: (err, req) => ({ code: err.code, route: req.path })
+}));
+app.use(errorLoggerMiddleware);
+// @ts-expect-error misspelt option
+createRequestLogger({ logResponseBodies: true });
+
+// Request and trace context
+const context = RequestContext.get();
+expectType<string>(context.requestId);
+expectType<TraceContext | null>(context.traceContext);
+expectType<boolean>(context.setBaggage('tenant', 'acme'));
+expectType<RequestContext | undefined>(RequestContext.current());
+const carrier = context.toCarrier();
+expectType<Promise<number>>(withJobContext('settlement', async (jobContext) => jobContext.getElapsedMs().length, {
+    carrier,
+    baseLogData: { batch: 7 }
+}));
+expectType<string>(RequestContext.runWithCarrier(carrier, (restored) => restored.traceId));
+const trace = TraceContext.generateNew(true);
+expectType<string>(trace.toTraceParent());
+expectType<TraceContext>(trace.createChildSpan());
+registerPropagator({
+    name: 'custom',
+    extract: (headers) => (headers['x-custom-trace'] ? TraceContext.generateNew() : null),
+    inject: (traceContext, headers) => {
+        headers['x-custom-trace'] = traceContext.toHexTraceId();
+    }
+});
+// @ts-expect-error propagators need inject
+registerPropagator({ name: 'broken', extract: () => null });
+
+// Constants and sanitizers
+expectType<string>(SEVERITYLEVEL.warn);
+expectType<number>(CONTENT_LIMITS.JSON_DEPTH);
+expectType<unknown>(sanitizeBody({ password: 'secret' }));
+expectType<Record<string, unknown>>(sanitizeHeaders({ authorization: 'Bearer abc' }, ['authorization']));
+
+// Top-level helpers
+expectType<string>(setLevel('warn'));
+expectType<unknown>(getEffectiveConfig().LOG_LEVEL.value);
+expectType<Promise<void>>(shutdown());
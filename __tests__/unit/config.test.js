@@ -0,0 +1,89 @@
+// __tests__/unit/config.test.js
+const {
+    getConfigValue,
+    setConfigOverrides,
+    getEffectiveConfig,
+    validateConfig,
+    CONTENT_LIMITS
+} = require('../../src/config/constants');
+const { resolveConfigValue } = require('../../src/config/schema');
+const getTransport = require('../../src/logger/transport');
+const { formatJsonLog } = require('../../src/utils/formatters');
+
+describe('Configuration', () => {
+    afterEach(() => {
+        delete process.env.LOG_JSON_DEPTH;
+        setConfigOverrides({});
+    });
+
+    it('should type values from configure() and the environment', () => {
+        process.env.LOG_JSON_DEPTH = '4';
+        setConfigOverrides({
+            LOG_LEVEL: 'DEBUG',
+            OTEL_BRIDGE: 'true',
+            LOG_METADATA_KEYS: 'tenant, channel',
+            TRACE_SAMPLE_RATIO: '0.25'
+        });
+
+        expect(getConfigValue('LOG_LEVEL')).toBe('debug');
+        expect(getConfigValue('OTEL_BRIDGE')).toBe(true);
+        expect(getConfigValue('LOG_METADATA_KEYS')).toEqual(['tenant', 'channel']);
+        expect(getConfigValue('TRACE_SAMPLE_RATIO')).toBe(0.25);
+        expect(getConfigValue('LOG_JSON_DEPTH')).toBe(4);
+        expect(getConfigValue('LOG_TYPE')).toBe('gcp');
+    });
+
+    it('should honor zero and empty overrides', () => {
+        setConfigOverrides({ SLOW_RESPONSE_THRESHOLD_MS: 0, TRACE_SAMPLE_RATIO: 0, PROJECT_ID: '' });
+
+        expect(getConfigValue('SLOW_RESPONSE_THRESHOLD_MS')).toBe(0);
+        expect(getConfigValue('TRACE_SAMPLE_RATIO')).toBe(0);
+        expect(getConfigValue('PROJECT_ID')).toBe('');
+    });
+
+    it('should report every invalid value and keep the previous configuration', () => {
+        setConfigOverrides({ LOG_FORMAT: 'pretty' });
+
+        expect(() => setConfigOverrides({
+            LOG_FORMAT: 'xml',
+            TRACE_SAMPLE_RATIO: 2,
+            LOG_JSON_DEPTH: 'deep',
+            REQUEST_ID_GENERATOR: 'nanoid'
+        })).toThrow([
+            'Invalid logger configuration:',
+            '  - LOG_FORMAT must be one of json, pretty (got "xml")',
+            '  - LOG_JSON_DEPTH must be a number (got "deep")',
+            '  - REQUEST_ID_GENERATOR must be uuidv4, uuidv7, ulid, short or a function',
+            '  - TRACE_SAMPLE_RATIO must be >= 0 and <= 1 (got 2)'
+        ].join('\n'));
+        expect(getConfigValue('LOG_FORMAT')).toBe('pretty');
+    });
+
+    it('should validate the environment without fixing it', () => {
+        process.env.LOG_JSON_DEPTH = '-1';
+
+        expect(() => validateConfig()).toThrow('LOG_JSON_DEPTH must be >= 0 (got -1)');
+        expect(resolveConfigValue('LOG_JSON_DEPTH').value).toBe(10);
+    });
+
+    it('should apply configure() values read by modules at runtime', () => {
+        setConfigOverrides({ LOG_FORMAT: 'pretty', PROJECT_ID: 'loans-prod', LOG_STRING_LIMIT: 64 });
+
+        expect(getTransport().target).toBe('pino-pretty');
+        expect(formatJsonLog({ message: 'Loan approved' })['logging.googleapis.com/logName'])
+            .toBe('projects/loans-prod/logs/api-logger');
+        expect(CONTENT_LIMITS.STRING_RESPONSE).toBe(64);
+    });
+
+    it('should report resolved values with their source and secrets masked', () => {
+        process.env.LOG_JSON_DEPTH = '4';
+        setConfigOverrides({ LOG_DEBUG_SECRET: 'shh', OTLP_HEADERS: 'authorization=Bearer abc' });
+
+        const config = getEffectiveConfig();
+
+        expect(config.LOG_DEBUG_SECRET).toEqual({ value: '[REDACTED]', source: 'configure' });
+        expect(config.OTLP_HEADERS.value).toBe('[REDACTED]');
+        expect(config.LOG_JSON_DEPTH).toEqual({ value: 4, source: 'env' });
+        expect(config.LOG_TYPE).toEqual({ value: 'gcp', source: 'default' });
+    });
+});
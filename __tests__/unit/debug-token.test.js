@@ -0,0 +1,74 @@
+// __tests__/unit/debug-token.test.js
+const {
+    createDebugToken,
+    verifyDebugToken,
+    resolveDebugLevel,
+    getDebugTokenStats,
+    resetDebugTokenStats
+} = require('../../src/utils/debug-token');
+const { sanitizeHeaders } = require('../../src/utils/sanitizers');
+const { setConfigOverrides } = require('../../src/config/constants');
+
+describe('Debug tokens', () => {
+    const secret = 'test-debug-secret';
+
+    beforeEach(() => {
+        resetDebugTokenStats();
+        setConfigOverrides({ LOG_DEBUG_SECRET: secret });
+    });
+
+    afterEach(() => {
+        setConfigOverrides({});
+    });
+
+    it('should verify tokens it created', () => {
+        expect(verifyDebugToken(createDebugToken())).toBe('debug');
+        expect(verifyDebugToken(createDebugToken({ level: 'trace', ttlSeconds: 60 }))).toBe('trace');
+    });
+
+    it('should reject forged, tampered and expired tokens', () => {
+        const token = createDebugToken();
+        const [expiresAt, , signature] = token.split('.');
+
+        expect(verifyDebugToken(token, 'other-secret')).toBeNull();
+        expect(verifyDebugToken(`${expiresAt}.trace.${signature}`)).toBeNull();
+        expect(verifyDebugToken(createDebugToken({ ttlSeconds: -1 }))).toBeNull();
+        expect(verifyDebugToken('garbage')).toBeNull();
+    });
+
+    it('should refuse to create tokens without a secret or for other levels', () => {
+        setConfigOverrides({});
+        expect(() => createDebugToken()).toThrow('LOG_DEBUG_SECRET');
+        expect(() => createDebugToken({ secret, level: 'info' })).toThrow('debug, trace');
+    });
+
+    it('should read the configured header and count rejected tokens', () => {
+        setConfigOverrides({ LOG_DEBUG_SECRET: secret, LOG_DEBUG_HEADER: 'X-Support-Debug' });
+
+        expect(resolveDebugLevel({ headers: { 'x-support-debug': createDebugToken() } })).toBe('debug');
+        expect(resolveDebugLevel({ headers: { 'x-support-debug': 'forged' } })).toBeUndefined();
+        expect(resolveDebugLevel({ headers: {} })).toBeUndefined();
+        expect(getDebugTokenStats()).toEqual({ accepted: 1, rejected: 1 });
+    });
+
+    it('should redact the header in logged headers', () => {
+        const token = createDebugToken();
+        expect(sanitizeHeaders({ 'x-debug-log': token, accept: 'application/json' }))
+            .toEqual({ 'x-debug-log': '[REDACTED]', accept: 'application/json' });
+
+        setConfigOverrides({
+            LOG_DEBUG_SECRET: secret,
+            LOG_DEBUG_HEADER: 'X-Support-Debug',
+            LOGGER_SENSITIVE_HEADERS: 'x-session'
+        });
+        expect(sanitizeHeaders({ 'X-Support-Debug': token, 'x-session': 's-1' }))
+            .toEqual({ 'X-Support-Debug': '[REDACTED]', 'x-session': '[REDACTED]' });
+    });
+
+    it('should ignore the header when no secret is configured', () => {
+        setConfigOverrides({});
+
+        expect(resolveDebugLevel({ headers: { 'x-debug-log': 'anything' } })).toBeUndefined();
+        expect(getDebugTokenStats()).toEqual({ accepted: 0, rejected: 0 });
+    });
+});
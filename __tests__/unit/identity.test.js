@@ -0,0 +1,83 @@
+// __tests__/unit/identity.test.js
+const {
+    decodeJwtPayload,
+    extractJwtIdentity,
+    resolveIdentity
+} = require('../../src/utils/identity');
+const { setConfigOverrides } = require('../../src/config/constants');
+
+const createJwt = (claims) => [
+    Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT' })).toString('base64'),
+    Buffer.from(JSON.stringify(claims)).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_'),
+    'signature'
+].join('.');
+
+describe('Identity', () => {
+    const claims = {
+        sub: 'user-42',
+        iss: 'https://auth.ambak.com',
+        tenant: 'dsa-north',
+        exp: 1767225600,
+        email: 'asha@example.com',
+        scope: 'loans:read'
+    };
+
+    afterEach(() => {
+        setConfigOverrides({});
+    });
+
+    describe('decodeJwtPayload', () => {
+        it('should decode base64url payloads', () => {
+            expect(decodeJwtPayload(createJwt(claims))).toEqual(claims);
+        });
+
+        it('should return null for malformed tokens', () => {
+            expect(decodeJwtPayload('not-a-jwt')).toBeNull();
+            expect(decodeJwtPayload('a.b.c')).toBeNull();
+            expect(decodeJwtPayload(undefined)).toBeNull();
+        });
+    });
+
+    describe('extractJwtIdentity', () => {
+        it('should pick the default claims from a Bearer token', () => {
+            const identity = extractJwtIdentity({
+                headers: { authorization: `Bearer ${createJwt(claims)}` }
+            });
+
+            expect(identity).toEqual({
+                sub: 'user-42',
+                iss: 'https://auth.ambak.com',
+                tenant: 'dsa-north',
+                exp: 1767225600
+            });
+        });
+
+        it('should pick the configured claims', () => {
+            setConfigOverrides({ LOG_IDENTITY_CLAIMS: 'sub,scope' });
+            const identity = extractJwtIdentity({
+                headers: { authorization: `bearer ${createJwt(claims)}` }
+            });
+
+            expect(identity).toEqual({ sub: 'user-42', scope: 'loans:read' });
+        });
+
+        it('should ignore other authorization schemes', () => {
+            expect(extractJwtIdentity({ headers: { authorization: 'Basic dXNlcjpwYXNz' } })).toBeNull();
+            expect(extractJwtIdentity({ headers: {} })).toBeNull();
+        });
+    });
+
+    describe('resolveIdentity', () => {
+        it('should sanitize identities returned by a hook', () => {
+            const identity = resolveIdentity({}, () => ({ partnerId: 'p-1', email: 'ops@partner.com' }));
+
+            expect(identity).toEqual({ partnerId: 'p-1', email: '[REDACTED]' });
+        });
+
+        it('should swallow hook errors and empty results', () => {
+            expect(resolveIdentity({}, () => { throw new Error('no user'); })).toBeNull();
+            expect(resolveIdentity({}, () => ({}))).toBeNull();
+            expect(resolveIdentity({}, null)).toBeNull();
+        });
+    });
+});
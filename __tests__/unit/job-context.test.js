@@ -0,0 +1,65 @@
+// __tests__/unit/job-context.test.js
+const RequestContext = require('../../src/context');
+const { withJobContext } = require('../../src/middleware/job-context');
+
+describe('withJobContext', () => {
+    let logMessages;
+    let mockLogger;
+
+    beforeEach(() => {
+        logMessages = [];
+        mockLogger = {
+            info: jest.fn(msg => logMessages.push({ level: 'info', msg })),
+            error: jest.fn(msg => logMessages.push({ level: 'error', msg }))
+        };
+    });
+
+    it('should run the job in a fresh context and log start and end', async () => {
+        let jobContext;
+
+        const result = await withJobContext('emi-reminders', async (context) => {
+            jobContext = RequestContext.current();
+            expect(context).toBe(jobContext);
+            return 'done';
+        }, { logger: mockLogger });
+
+        expect(result).toBe('done');
+        expect(jobContext.requestId).toBeTruthy();
+        expect(jobContext.traceId).toMatch(/^[0-9a-f]{32}$/);
+        expect(RequestContext.current()).toBeUndefined();
+
+        const [startLog, endLog] = logMessages.map(log => log.msg);
+        expect(startLog.type).toBe('job_start');
+        expect(startLog.job.name).toBe('emi-reminders');
+        expect(endLog.type).toBe('job_end');
+        expect(endLog.job.outcome).toBe('success');
+        expect(typeof endLog.job.durationMs).toBe('number');
+        expect(endLog['logging.googleapis.com/trace']).toContain(jobContext.traceId);
+    });
+
+    it('should log failures with the serialized error and rethrow', async () => {
+        const error = new Error('bureau unavailable');
+
+        await expect(withJobContext('bureau-sync', () => {
+            throw error;
+        }, { logger: mockLogger })).rejects.toThrow(error);
+
+        const endLog = logMessages[1];
+        expect(endLog.level).toBe('error');
+        expect(endLog.msg.job.outcome).toBe('failure');
+        expect(endLog.msg.error.message).toBe('bureau unavailable');
+        expect(endLog.msg.error.stack).toBeDefined();
+    });
+
+    it('should continue the trace of a carrier', async () => {
+        const requestContext = RequestContext.create({ headers: {} });
+        let jobContext;
+
+        await withJobContext('disbursal', (context) => {
+            jobContext = context;
+        }, { logger: mockLogger, carrier: requestContext.toCarrier() });
+
+        expect(jobContext.traceId).toBe(requestContext.traceId);
+        expect(jobContext.requestId).toBe(requestContext.requestId);
+    });
+});
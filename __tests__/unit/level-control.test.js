@@ -0,0 +1,98 @@
+// __tests__/unit/level-control.test.js
+const { createCaptureLogger } = require('../helpers/capture-logger');
+const {
+    getLogLevel,
+    setLogLevel,
+    enableLevelSignal,
+    disableLevelSignal
+} = require('../../src/logger/level-control');
+
+describe('Level control', () => {
+    let entries;
+    let logger;
+
+    beforeEach(() => {
+        ({ logger, entries } = createCaptureLogger('info'));
+    });
+
+    afterEach(() => {
+        disableLevelSignal();
+        jest.useRealTimers();
+    });
+
+    const messages = () => entries.map(entry => entry.message);
+
+    it('should change the level of the logger and its existing children', () => {
+        const child = logger.child({ component: 'bureau' });
+        const grandChild = child.child({ step: 'fetch' });
+
+        expect(setLogLevel(logger, 'DEBUG')).toBe('debug');
+        logger.debug('root debug');
+        child.debug('child debug');
+        grandChild.debug('grandchild debug');
+
+        expect(getLogLevel(logger)).toBe('debug');
+        expect(messages()).toEqual(expect.arrayContaining(['root debug', 'child debug', 'grandchild debug']));
+    });
+
+    it('should keep children created with an explicit level', () => {
+        const pinned = logger.child({}, { level: 'trace' });
+
+        setLogLevel(logger, 'error');
+        pinned.trace('still traced');
+        logger.warn('dropped');
+
+        expect(messages()).toContain('still traced');
+        expect(messages()).not.toContain('dropped');
+    });
+
+    it('should log the change even when raising the level', () => {
+        setLogLevel(logger, 'error');
+
+        const change = entries.find(entry => entry.type === 'log_level');
+        expect(change.levelChange).toEqual({ from: 'info', to: 'error', reason: 'setLevel' });
+    });
+
+    it('should reject unknown levels', () => {
+        expect(() => setLogLevel(logger, 'verbose')).toThrow('Unknown log level "verbose"');
+    });
+
+    it('should revert to the original level after the timeout', () => {
+        jest.useFakeTimers();
+
+        setLogLevel(logger, 'debug', { revertAfterMs: 60000 });
+        setLogLevel(logger, 'trace', { revertAfterMs: 60000 });
+        jest.advanceTimersByTime(60000);
+
+        expect(getLogLevel(logger)).toBe('info');
+        expect(entries.filter(entry => entry.type === 'log_level').pop().levelChange.reason).toBe('revert');
+    });
+
+    it('should cycle levels on the signal', () => {
+        enableLevelSignal(logger, { signal: 'SIGUSR2', levels: ['info', 'debug', 'trace'] });
+
+        process.emit('SIGUSR2');
+        expect(getLogLevel(logger)).toBe('debug');
+        process.emit('SIGUSR2');
+        process.emit('SIGUSR2');
+        expect(getLogLevel(logger)).toBe('info');
+
+        disableLevelSignal();
+        expect(process.listenerCount('SIGUSR2')).toBe(0);
+    });
+
+    it('should cycle every logger enabled on the signal through one listener', () => {
+        const { logger: other } = createCaptureLogger('warn');
+        enableLevelSignal(logger, { signal: 'SIGUSR2', levels: ['info', 'debug'] });
+        enableLevelSignal(other, { signal: 'SIGUSR2', levels: ['warn', 'error'] });
+
+        expect(process.listenerCount('SIGUSR2')).toBe(1);
+        process.emit('SIGUSR2');
+        expect([getLogLevel(logger), getLogLevel(other)]).toEqual(['debug', 'error']);
+
+        disableLevelSignal(other);
+        process.emit('SIGUSR2');
+        expect([getLogLevel(logger), getLogLevel(other)]).toEqual(['info', 'error']);
+        expect(process.listenerCount('SIGUSR2')).toBe(1);
+    });
+});
@@ -0,0 +1,88 @@
+// __tests__/unit/namespace.test.js
+const { createLogger, setDefaultLogger } = require('../../src/logger');
+const { createCaptureLogger } = require('../helpers/capture-logger');
+const { parseLevelSpec, resolveNamespaceLevel, getLogger } = require('../../src/logger/namespace');
+const { setConfigOverrides } = require('../../src/config/constants');
+
+describe('Namespaced loggers', () => {
+    let entries;
+    let logger;
+
+    beforeEach(() => {
+        ({ logger, entries } = createCaptureLogger('info'));
+    });
+
+    afterEach(() => {
+        setDefaultLogger(null);
+        setConfigOverrides({});
+    });
+
+    describe('parseLevelSpec', () => {
+        it('should order patterns from most to least specific', () => {
+            const patterns = parseLevelSpec('*=info,payments:*=debug,payments:razorpay=trace,db=warn')
+                .map(({ pattern }) => pattern);
+
+            expect(patterns).toEqual(['payments:razorpay', 'db', 'payments:*', '*']);
+        });
+
+        it('should accept objects and skip unknown levels', () => {
+            expect(parseLevelSpec({ db: 'WARN', cache: 'loud' }).map(({ pattern, level }) => [pattern, level]))
+                .toEqual([['db', 'warn']]);
+            expect(parseLevelSpec('broken,=debug')).toEqual([]);
+        });
+    });
+
+    describe('resolveNamespaceLevel', () => {
+        it('should pick the most specific matching pattern', () => {
+            setConfigOverrides({ LOG_LEVELS: 'payments:*=debug,payments:razorpay=trace,db=warn,*=info' });
+
+            expect(resolveNamespaceLevel('payments:razorpay')).toBe('trace');
+            expect(resolveNamespaceLevel('payments:cashfree')).toBe('debug');
+            expect(resolveNamespaceLevel('db')).toBe('warn');
+            expect(resolveNamespaceLevel('db:pool')).toBe('info');
+        });
+
+        it('should leave unmatched namespaces to the parent level', () => {
+            setConfigOverrides({ LOG_LEVELS: 'payments:*=debug' });
+
+            expect(resolveNamespaceLevel('db')).toBeUndefined();
+        });
+    });
+
+    describe('getLogger', () => {
+        it('should return a cached child logging the module at its namespace level', () => {
+            setConfigOverrides({ LOG_LEVELS: 'payments:*=debug,db=warn' });
+            const payments = getLogger('payments:razorpay', logger);
+            const db = getLogger('db', logger);
+
+            payments.debug('payments debug');
+            db.info('db info');
+            getLogger('loans', logger).info('loans info');
+
+            expect(getLogger('payments:razorpay', logger)).toBe(payments);
+            expect(payments.bindings().module).toBe('payments:razorpay');
+            expect(entries.map(entry => entry.message)).toEqual(['payments debug', 'loans info']);
+        });
+
+        it('should derive top-level module loggers from the current default logger', () => {
+            setDefaultLogger(createCaptureLogger('info').logger);
+            const before = getLogger('payments');
+
+            setConfigOverrides({ LOG_LEVELS: 'payments=debug' });
+            setDefaultLogger(logger);
+            const after = getLogger('payments');
+            after.debug('payments debug');
+
+            expect(after).not.toBe(before);
+            expect(after.level).toBe('debug');
+            expect(entries.map(entry => entry.message)).toEqual(['payments debug']);
+        });
+
+        it('should keep a silent parent silent', () => {
+            setConfigOverrides({ LOG_LEVELS: '*=debug' });
+            const silent = createLogger({ level: 'silent', transport: undefined });
+
+            expect(getLogger('payments', silent).level).toBe('silent');
+        });
+    });
+});
@@ -0,0 +1,177 @@
+// __tests__/unit/otel-bridge.test.js
+const api = require('@opentelemetry/api');
+const { AsyncLocalStorageContextManager } = require('@opentelemetry/context-async-hooks');
+const asyncLocalStorage = require('../../src/context/async-context');
+const RequestContext = require('../../src/context');
+const { createLogger } = require('../../src/logger');
+const { setConfigOverrides } = require('../../src/config/constants');
+
+describe('OpenTelemetry bridge', () => {
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const otelSpanId = 'b7ad6b7169203331';
+    const otelSpanContext = { traceId, spanId: otelSpanId, traceFlags: api.TraceFlags.SAMPLED };
+
+    let recording;
+    let startedSpans;
+    let logMessages;
+    let mockLogger;
+
+    // Minimal recording tracer standing in for the OpenTelemetry SDK
+    const tracerProvider = {
+        getTracer: () => ({
+            startSpan: (name, options, parentContext) => {
+                if (!recording) {
+                    return api.trace.wrapSpanContext(
+                        api.trace.getSpanContext(parentContext) || api.INVALID_SPAN_CONTEXT
+                    );
+                }
+                const span = {
+                    name,
+                    parentSpanContext: api.trace.getSpanContext(parentContext),
+                    spanContext: () => ({ traceId, spanId: 'c0ffee00c0ffee00', traceFlags: 1 }),
+                    isRecording: () => true,
+                    setStatus: jest.fn(),
+                    recordException: jest.fn(),
+                    end: jest.fn()
+                };
+                startedSpans.push(span);
+                return span;
+            }
+        })
+    };
+
+    const withOtelSpan = (fn) => api.context.with(
+        api.trace.setSpanContext(api.context.active(), otelSpanContext),
+        fn
+    );
+
+    beforeAll(() => {
+        api.context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable());
+        api.trace.setGlobalTracerProvider(tracerProvider);
+    });
+
+    afterAll(() => {
+        api.trace.disable();
+        api.context.disable();
+    });
+
+    beforeEach(() => {
+        recording = false;
+        startedSpans = [];
+        logMessages = [];
+        mockLogger = {
+            info: jest.fn(msg => logMessages.push({ level: 'info', msg })),
+            error: jest.fn(msg => logMessages.push({ level: 'error', msg }))
+        };
+        setConfigOverrides({ OTEL_BRIDGE: 'true' });
+    });
+
+    afterEach(() => {
+        setConfigOverrides({});
+    });
+
+    describe('RequestContext.create', () => {
+        it('should adopt the active OpenTelemetry span', () => {
+            const context = withOtelSpan(() => RequestContext.create({
+                headers: { traceparent: `00-${traceId}-00f067aa0ba902b7-01` }
+            }));
+
+            expect(context.traceId).toBe(traceId);
+            expect(context.spanId).toBe(otelSpanId);
+            expect(context.parentSpanId).toBe('00f067aa0ba902b7');
+        });
+
+        it('should ignore OpenTelemetry when the bridge is off', () => {
+            setConfigOverrides({});
+            const context = withOtelSpan(() => RequestContext.create({ headers: {} }));
+
+            expect(context.traceId).not.toBe(traceId);
+        });
+
+        it('should wrap the OpenTelemetry trace id for LOG_TYPE aws', () => {
+            setConfigOverrides({ OTEL_BRIDGE: 'true', LOG_TYPE: 'aws' });
+            const context = withOtelSpan(() => RequestContext.create({ headers: {} }));
+
+            expect(context.traceId).toBe('1-4bf92f35-77b34da6a3ce929d0e0e4736');
+            expect(context.traceContext.toHexTraceId()).toBe(traceId);
+        });
+    });
+
+    describe('contextual logger', () => {
+        it('should log the ids of the active OpenTelemetry span', () => {
+            const entries = [];
+            const logger = createLogger({
+                transport: undefined,
+                hooks: { logMethod: (args) => entries.push(args[0]) }
+            });
+            const requestContext = RequestContext.create({ headers: {} });
+
+            asyncLocalStorage.run(requestContext, () => {
+                logger.info('outside');
+                withOtelSpan(() => logger.info('inside'));
+            });
+
+            expect(entries[0].spanId).toBe(requestContext.spanId);
+            expect(entries[1].traceId).toBe(traceId);
+            expect(entries[1].spanId).toBe(otelSpanId);
+            expect(entries[1].requestId).toBe(requestContext.requestId);
+        });
+    });
+
+    describe('RequestContext.startSpan', () => {
+        it('should start an OpenTelemetry span under the request trace', async () => {
+            recording = true;
+            const requestContext = RequestContext.create({ headers: {} });
+            let activeSpanContext;
+
+            await asyncLocalStorage.run(requestContext, () =>
+                RequestContext.startSpan('db.query', async (spanContext) => {
+                    activeSpanContext = api.trace.getSpanContext(api.context.active());
+                    expect(spanContext.spanId).toBe('c0ffee00c0ffee00');
+                }, { logger: mockLogger, attributes: { table: 'loans' } })
+            );
+
+            const [span] = startedSpans;
+            expect(span.name).toBe('db.query');
+            expect(span.parentSpanContext.traceId).toBe(requestContext.traceId);
+            expect(span.parentSpanContext.spanId).toBe(requestContext.spanId);
+            expect(span.setStatus).toHaveBeenCalledWith({ code: api.SpanStatusCode.OK });
+            expect(span.end).toHaveBeenCalled();
+            expect(activeSpanContext.spanId).toBe('c0ffee00c0ffee00');
+            expect(logMessages[0].msg.span.parentSpanId).toBe(requestContext.spanId);
+        });
+
+        it('should record failures on the OpenTelemetry span', () => {
+            recording = true;
+            const error = new Error('partner timeout');
+
+            expect(() => RequestContext.startSpan('partner.call', () => {
+                throw error;
+            }, { logger: mockLogger })).toThrow(error);
+
+            const [span] = startedSpans;
+            expect(span.recordException).toHaveBeenCalledWith(error);
+            expect(span.setStatus).toHaveBeenCalledWith({
+                code: api.SpanStatusCode.ERROR,
+                message: 'partner timeout'
+            });
+        });
+
+        it('should expose its own span ids without an SDK', () => {
+            const requestContext = RequestContext.create({ headers: {} });
+            let activeSpanContext;
+
+            const spanContext = asyncLocalStorage.run(requestContext, () =>
+                RequestContext.startSpan('cache.get', (context) => {
+                    activeSpanContext = api.trace.getSpanContext(api.context.active());
+                    return context;
+                }, { logger: mockLogger })
+            );
+
+            expect(spanContext.traceId).toBe(requestContext.traceId);
+            expect(spanContext.spanId).not.toBe(requestContext.spanId);
+            expect(spanContext.parentSpanId).toBe(requestContext.spanId);
+            expect(activeSpanContext.spanId).toBe(spanContext.spanId);
+        });
+    });
+});
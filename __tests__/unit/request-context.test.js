@@ -0,0 +1,390 @@
+// __tests__/unit/request-context.test.js
+const EventEmitter = require('events');
+const asyncLocalStorage = require('../../src/context/async-context');
+const RequestContext = require('../../src/context');
+const TraceContext = require('../../src/context/trace-context');
+const { registerPropagator } = require('../../src/context/propagators');
+const { setConfigOverrides } = require('../../src/config/constants');
+
+describe('RequestContext', () => {
+    let logMessages;
+    let mockLogger;
+
+    afterEach(() => {
+        setConfigOverrides({});
+    });
+
+    beforeEach(() => {
+        logMessages = [];
+        mockLogger = {
+            info: jest.fn(msg => logMessages.push({ level: 'info', msg })),
+            error: jest.fn(msg => logMessages.push({ level: 'error', msg }))
+        };
+    });
+
+    describe('binding helpers', () => {
+        it('should return undefined from current() outside a request', () => {
+            const context = RequestContext.create({ headers: {} });
+
+            expect(RequestContext.current()).toBeUndefined();
+            expect(RequestContext.run(context, () => RequestContext.current())).toBe(context);
+        });
+
+        it('should run bound callbacks in the bound context', async () => {
+            const context = RequestContext.create({ headers: {} });
+            const bound = RequestContext.run(context, () => RequestContext.bind(() => RequestContext.current()));
+
+            expect(bound()).toBe(context);
+            expect(RequestContext.bind(() => 'plain')()).toBe('plain');
+        });
+
+        it('should bind listeners of emitters created outside the request', () => {
+            const emitter = new EventEmitter();
+            const context = RequestContext.create({ headers: {} });
+            const seen = [];
+            const onData = () => seen.push(RequestContext.current());
+
+            RequestContext.run(context, () => {
+                RequestContext.bindEmitter(emitter);
+                emitter.on('data', onData);
+                emitter.once('end', onData);
+            });
+
+            emitter.emit('data');
+            emitter.emit('end');
+            emitter.emit('end');
+            expect(seen).toEqual([context, context]);
+
+            emitter.off('data', onData);
+            emitter.emit('data');
+            expect(seen.length).toBe(2);
+
+            emitter.once('end', onData);
+            emitter.removeListener('end', onData);
+            expect(emitter.listenerCount('end')).toBe(0);
+        });
+    });
+
+    describe('startSpan', () => {
+        it('should run the callback in a child span and log its duration', async () => {
+            const parentContext = RequestContext.create({ headers: {} });
+            let innerContext;
+
+            const result = await asyncLocalStorage.run(parentContext, () =>
+                RequestContext.startSpan('db.query', async () => {
+                    innerContext = RequestContext.get();
+                    return 42;
+                }, { logger: mockLogger, attributes: { table: 'loans' } })
+            );
+
+            expect(result).toBe(42);
+            expect(innerContext.traceId).toBe(parentContext.traceId);
+            expect(innerContext.spanId).not.toBe(parentContext.spanId);
+            expect(RequestContext.get()).not.toBe(innerContext);
+
+            const spanLog = logMessages[0].msg;
+            expect(spanLog.type).toBe('span');
+            expect(spanLog.span.name).toBe('db.query');
+            expect(spanLog.span.status).toBe('ok');
+            expect(spanLog.span.parentSpanId).toBe(parentContext.spanId);
+            expect(spanLog.span.spanId).toBe(innerContext.spanId);
+            expect(spanLog.span.table).toBe('loans');
+            expect(typeof spanLog.span.durationMs).toBe('number');
+        });
+
+        it('should record failures and rethrow', () => {
+            const error = new Error('partner timeout');
+
+            expect(() => RequestContext.startSpan('partner.call', () => {
+                throw error;
+            }, { logger: mockLogger })).toThrow(error);
+
+            expect(logMessages[0].level).toBe('error');
+            expect(logMessages[0].msg.span.status).toBe('error');
+            expect(logMessages[0].msg.error.message).toBe('partner timeout');
+        });
+    });
+
+    describe('B3 propagation', () => {
+        const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+        it('should continue a trace from B3 headers', () => {
+            const context = RequestContext.create({
+                headers: { b3: `${traceId}-00f067aa0ba902b7-1` }
+            });
+
+            expect(context.traceId).toBe(traceId);
+            expect(context.parentSpanId).toBe('00f067aa0ba902b7');
+        });
+
+        it('should only accept configured ingress formats', () => {
+            setConfigOverrides({ B3_INGRESS_FORMATS: 'multi' });
+            const context = RequestContext.create({
+                headers: { b3: `${traceId}-00f067aa0ba902b7-1` }
+            });
+
+            expect(context.traceId).not.toBe(traceId);
+        });
+
+        it('should write configured egress formats alongside traceparent', () => {
+            const context = RequestContext.create({ headers: {} });
+            expect(context.addTraceHeaders({}).b3).toBeUndefined();
+
+            setConfigOverrides({ B3_EGRESS_FORMATS: 'single,multi' });
+            const headers = context.addTraceHeaders({});
+
+            expect(headers.traceparent).toBeDefined();
+            expect(headers.b3).toBe(context.traceContext.toB3Single());
+            expect(headers['x-b3-spanid']).toBe(context.spanId);
+        });
+    });
+
+    describe('propagators', () => {
+        const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+        it('should extract with the first propagator in the configured order', () => {
+            const headers = {
+                traceparent: `00-${traceId}-00f067aa0ba902b7-01`,
+                'x-cloud-trace-context': '0af7651916cd43dd8448eb211c80319c/1;o=1'
+            };
+
+            expect(RequestContext.create({ headers }).traceId).toBe('0af7651916cd43dd8448eb211c80319c');
+
+            setConfigOverrides({ TRACE_PROPAGATORS_EXTRACT: 'w3c,gcp' });
+            expect(RequestContext.create({ headers }).traceId).toBe(traceId);
+        });
+
+        it('should follow LOG_TYPE for default injection', () => {
+            setConfigOverrides({ LOG_TYPE: 'aws' });
+            const context = RequestContext.create({
+                headers: { 'x-amzn-trace-id': 'Root=1-69313ce7-190b8f6099d578eaf1f561bc;Parent=00f067aa0ba902b7;Sampled=1' }
+            });
+            const headers = context.addTraceHeaders({});
+
+            expect(context.traceId).toBe('1-69313ce7-190b8f6099d578eaf1f561bc');
+            expect(headers['x-amzn-trace-id']).toContain('Root=1-69313ce7-190b8f6099d578eaf1f561bc');
+            expect(headers['x-cloud-trace-context']).toBe(headers['x-amzn-trace-id']);
+            expect(headers.traceparent).toBeUndefined();
+        });
+
+        it('should keep tracestate whichever propagator matched', () => {
+            const context = RequestContext.create({
+                headers: { 'x-cloud-trace-context': '0af7651916cd43dd8448eb211c80319c/1;o=1', tracestate: 'vendor=abc' }
+            });
+
+            expect(context.traceContext.toTraceState()).toBe('vendor=abc');
+        });
+
+        it('should read x-amzn-trace-id under aws when x-cloud-trace-context is not an X-Ray value', () => {
+            setConfigOverrides({ LOG_TYPE: 'aws' });
+            const xray = 'Root=1-69313ce7-190b8f6099d578eaf1f561bc;Parent=00f067aa0ba902b7;Sampled=1';
+
+            const fromAmzn = RequestContext.create({
+                headers: { 'x-cloud-trace-context': '0af7651916cd43dd8448eb211c80319c/1;o=1', 'x-amzn-trace-id': xray }
+            });
+            const fromCloudTrace = RequestContext.create({ headers: { 'x-cloud-trace-context': xray } });
+
+            expect(fromAmzn.traceId).toBe('1-69313ce7-190b8f6099d578eaf1f561bc');
+            expect(fromCloudTrace.traceId).toBe('1-69313ce7-190b8f6099d578eaf1f561bc');
+        });
+
+        it('should use registered custom propagators', () => {
+            registerPropagator({
+                name: 'gateway',
+                extract: (headers) => (headers['x-gateway-trace']
+                    ? TraceContext.parseTraceParent(`00-${headers['x-gateway-trace']}-00f067aa0ba902b7-01`)
+                    : null),
+                inject: (traceContext, headers) => {
+                    headers['x-gateway-trace'] = traceContext.traceId;
+                }
+            });
+            setConfigOverrides({
+                TRACE_PROPAGATORS_EXTRACT: 'gateway,w3c',
+                TRACE_PROPAGATORS_INJECT: 'gateway'
+            });
+
+            const context = RequestContext.create({ headers: { 'x-gateway-trace': traceId } });
+            const headers = context.addTraceHeaders({});
+
+            expect(context.traceId).toBe(traceId);
+            expect(headers).toEqual({ 'x-gateway-trace': traceId, 'x-request-id': context.requestId });
+        });
+
+        it('should reject propagators without extract/inject', () => {
+            expect(() => registerPropagator({ name: 'broken' })).toThrow(TypeError);
+        });
+    });
+
+    describe('sampling', () => {
+        const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+        it('should leave sampling undecided when no sampler is configured', () => {
+            const context = RequestContext.create({ headers: {} });
+
+            expect(context.sampled).toBeUndefined();
+            expect(context.traceContext.traceFlags).toBe('01');
+        });
+
+        it('should honor the incoming sampled flag with the parent-based sampler', () => {
+            setConfigOverrides({ TRACE_SAMPLER: 'parentbased_traceidratio', TRACE_SAMPLE_RATIO: '1' });
+
+            const unsampled = RequestContext.create({ headers: { traceparent: `00-${traceId}-00f067aa0ba902b7-00` } });
+            const sampled = RequestContext.create({ headers: { traceparent: `00-${traceId}-00f067aa0ba902b7-01` } });
+
+            expect(unsampled.sampled).toBe(false);
+            expect(unsampled.addTraceHeaders({}).traceparent).toMatch(/-00$/);
+            expect(sampled.sampled).toBe(true);
+        });
+
+        it('should decide deterministically by trace id and write the decision back', () => {
+            setConfigOverrides({ TRACE_SAMPLER: 'traceidratio', TRACE_SAMPLE_RATIO: '0.5' });
+            const headers = { traceparent: `00-${traceId}-00f067aa0ba902b7-01` };
+
+            const decisions = Array.from({ length: 5 }, () => RequestContext.create({ headers }).sampled);
+            expect(new Set(decisions).size).toBe(1);
+
+            setConfigOverrides({ TRACE_SAMPLER: 'traceidratio', TRACE_SAMPLE_RATIO: '0' });
+            const context = RequestContext.create({ headers });
+            expect(context.sampled).toBe(false);
+            expect(context.traceContext.traceFlags).toBe('00');
+        });
+
+        it('should apply per-route ratio overrides', () => {
+            setConfigOverrides({
+                TRACE_SAMPLER: 'traceidratio',
+                TRACE_SAMPLE_RATIO: '1',
+                TRACE_SAMPLE_ROUTES: '/status/*=0'
+            });
+
+            expect(RequestContext.create({ headers: {}, path: '/status/db' }).sampled).toBe(false);
+            expect(RequestContext.create({ headers: {}, path: '/loans' }).sampled).toBe(true);
+        });
+    });
+
+    describe('carrier', () => {
+        it('should round-trip a context through a carrier', () => {
+            setConfigOverrides({ CONTEXT_CARRIER_METADATA_KEYS: 'loanId' });
+            const context = RequestContext.create({ headers: { 'x-request-id': 'req-42' } });
+            context.setBaggage('tenantId', 't-1');
+            context.setMetadata('loanId', 'LN-9');
+            context.setMetadata('pan', 'ABCDE1234F');
+
+            const carrier = JSON.parse(JSON.stringify(context.toCarrier()));
+            expect(carrier.requestId).toBe('req-42');
+            expect(carrier.traceparent).toContain(context.traceId);
+            expect(carrier.metadata).toEqual({ loanId: 'LN-9' });
+
+            const restored = RequestContext.fromCarrier(carrier);
+            expect(restored.requestId).toBe('req-42');
+            expect(restored.traceId).toBe(context.traceId);
+            expect(restored.parentSpanId).toBe(context.spanId);
+            expect(restored.spanId).not.toBe(context.spanId);
+            expect(restored.getBaggage('tenantId')).toBe('t-1');
+            expect(restored.getMetadata('loanId')).toBe('LN-9');
+        });
+
+        it('should run a consumer inside the restored context', () => {
+            const context = RequestContext.create({ headers: {} });
+
+            const active = RequestContext.runWithCarrier(context.toCarrier(), () => RequestContext.current());
+
+            expect(active.traceId).toBe(context.traceId);
+            expect(RequestContext.current()).toBeUndefined();
+        });
+
+        it('should start a fresh trace for an empty carrier', () => {
+            const restored = RequestContext.fromCarrier({});
+
+            expect(restored.requestId).toBeTruthy();
+            expect(restored.traceId).toMatch(/^[0-9a-f]{32}$/);
+        });
+
+        it('should not trust an invalid carried request id', () => {
+            const injected = RequestContext.fromCarrier({ requestId: 'req-1\n{"level":"fatal"}' });
+            const fromHeader = RequestContext.fromCarrier({ requestId: 'x'.repeat(500), 'X-Request-Id': 'REQ-7' });
+
+            expect(injected.requestId).not.toContain('\n');
+            expect(injected.requestId).toBeTruthy();
+            expect(fromHeader.requestId).toBe('req-7');
+        });
+    });
+
+    describe('baggage', () => {
+        it('should parse the baggage header and re-emit it', () => {
+            const context = RequestContext.create({
+                headers: { baggage: 'tenantId=t-42, channel=partner%20app;ttl=30, invalid key=x' }
+            });
+
+            expect(context.getBaggage('tenantId')).toBe('t-42');
+            expect(context.getBaggage('channel')).toBe('partner app');
+            expect(context.getAllBaggage()).toEqual({ tenantId: 't-42', channel: 'partner app' });
+
+            const headers = context.addTraceHeaders({});
+            expect(headers.baggage).toBe('tenantId=t-42,channel=partner%20app');
+        });
+
+        it('should propagate baggage to child contexts', () => {
+            const context = RequestContext.create({ headers: {} });
+            expect(context.setBaggage('leadSource', 'dsa')).toBe(true);
+
+            const child = context.createChildContext();
+            child.setBaggage('step', 'bureau');
+
+            expect(child.getBaggage('leadSource')).toBe('dsa');
+            expect(context.getBaggage('step')).toBeUndefined();
+        });
+
+        it('should enforce the W3C entry and size limits', () => {
+            const members = Array.from({ length: 70 }, (_, i) => `k${i}=v${i}`).join(',');
+            const context = RequestContext.create({ headers: { baggage: members } });
+
+            expect(context.baggage.size).toBe(64);
+            expect(context.setBaggage('extra', 'value')).toBe(false);
+            expect(context.setBaggage('k0', 'x'.repeat(9000))).toBe(false);
+            expect(context.setBaggage('bad key', 'value')).toBe(false);
+        });
+    });
+
+    describe('request id', () => {
+        it('should take the id from the first configured header', () => {
+            setConfigOverrides({ REQUEST_ID_HEADERS: 'x-correlation-id,x-amzn-requestid' });
+            const context = RequestContext.create({
+                headers: { 'x-request-id': 'ignored', 'x-amzn-requestid': 'Amzn-42' }
+            });
+
+            expect(context.requestId).toBe('amzn-42');
+        });
+
+        it('should preserve case when configured', () => {
+            setConfigOverrides({ REQUEST_ID_PRESERVE_CASE: 'true' });
+            const context = RequestContext.create({ headers: { 'x-request-id': 'Req-ABC' } });
+
+            expect(context.requestId).toBe('Req-ABC');
+        });
+
+        it('should generate ids with the configured generator', () => {
+            const generated = (generator) => {
+                setConfigOverrides({ REQUEST_ID_GENERATOR: generator });
+                return RequestContext.create({ headers: { 'x-request-id': 'bad id!' } }).requestId;
+            };
+
+            expect(generated('uuidv4')).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+            expect(generated('uuidv7')).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+            expect(generated('ulid')).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+            expect(generated('short')).toMatch(/^[0-9a-f]{8}$/);
+            expect(generated(() => 'from-fn')).toBe('from-fn');
+        });
+
+        it('should order uuidv7 ids by creation time', () => {
+            const now = jest.spyOn(Date, 'now').mockReturnValueOnce(1000).mockReturnValueOnce(2000);
+            setConfigOverrides({ REQUEST_ID_GENERATOR: 'uuidv7' });
+
+            const first = RequestContext.create({ headers: {} }).requestId;
+            const second = RequestContext.create({ headers: {} }).requestId;
+
+            expect(now).toHaveBeenCalled();
+            expect(first.slice(0, 13)).toBe('00000000-03e8');
+            expect(first < second).toBe(true);
+        });
+    });
+});
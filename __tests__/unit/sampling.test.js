@@ -0,0 +1,71 @@
+// __tests__/unit/sampling.test.js
+const { createCaptureLogger } = require('../helpers/capture-logger');
+const { parseSampleRates } = require('../../src/logger/sampling');
+const RequestContext = require('../../src/context');
+const TraceContext = require('../../src/context/trace-context');
+const { setConfigOverrides } = require('../../src/config/constants');
+
+// The last 8 hex digits of the traceId decide: 00000000 is always kept, ffffffff only at rate 1
+const KEPT_TRACE = '4bf92f3577b34da6a3ce929d00000000';
+const DROPPED_TRACE = '4bf92f3577b34da6a3ce929dffffffff';
+
+describe('Log sampling', () => {
+    let entries;
+    let logger;
+
+    beforeEach(() => {
+        setConfigOverrides({ LOG_SAMPLE_RATES: 'debug=0,info=0.5,request:info=0.1,response:info=0.1' });
+        ({ logger, entries } = createCaptureLogger('debug'));
+    });
+
+    afterEach(() => {
+        setConfigOverrides({});
+    });
+
+    const inTrace = (traceId, fn, logLevel) => {
+        const context = new RequestContext();
+        context.traceContext = TraceContext.generateNew();
+        context.traceContext.traceId = traceId;
+        context.logLevel = logLevel;
+        RequestContext.run(context, fn);
+    };
+
+    const logRequest = () => {
+        logger.debug('Cache lookup');
+        logger.info({ type: 'request', message: 'GET /loans' });
+        logger.info('Listing loans');
+        logger.warn('Slow bureau response');
+        logger.info({ type: 'response', message: 'GET /loans 200' });
+    };
+
+    it('should parse rates per level and per type and level', () => {
+        expect(parseSampleRates('info=0.5, request:INFO=0.1,fatal=0,warn=2,debug=,error'))
+            .toEqual({ info: 0.5, 'request:info': 0.1 });
+        expect(parseSampleRates({ debug: 0, 'response:info': '0.25' })).toEqual({ debug: 0, 'response:info': 0.25 });
+    });
+
+    it('should keep every entry of a sampled trace and record the applied rate', () => {
+        inTrace(KEPT_TRACE, logRequest);
+
+        expect(entries.map(entry => [entry.message, entry.sampleRate])).toEqual([
+            ['GET /loans', 0.1],
+            ['Listing loans', 0.5],
+            ['Slow bureau response', undefined],
+            ['GET /loans 200', 0.1]
+        ]);
+    });
+
+    it('should drop the sampled levels of an unsampled trace and keep warnings', () => {
+        inTrace(DROPPED_TRACE, logRequest);
+        inTrace(DROPPED_TRACE, () => logger.error('Bureau call failed'));
+
+        expect(entries.map(entry => entry.message)).toEqual(['Slow bureau response', 'Bureau call failed']);
+    });
+
+    it('should keep every entry of a request with a debug token', () => {
+        inTrace(DROPPED_TRACE, logRequest, 'debug');
+
+        expect(entries).toHaveLength(5);
+        expect(entries.every(entry => entry.sampleRate === undefined)).toBe(true);
+    });
+});
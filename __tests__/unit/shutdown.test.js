@@ -0,0 +1,97 @@
+// __tests__/unit/shutdown.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLogger } = require('../../src/logger');
+const {
+    shutdownLogger,
+    enableShutdownSignals,
+    disableShutdownSignals
+} = require('../../src/logger/shutdown');
+
+describe('Shutdown', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-shutdown-'));
+        file = path.join(dir, 'app.log');
+        disableShutdownSignals();
+    });
+
+    afterEach(() => {
+        disableShutdownSignals();
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const createFileLogger = () => createLogger({
+        level: 'info',
+        transport: { target: 'pino/file', options: { destination: file } }
+    });
+
+    const readMessages = () => fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line).message);
+
+    it('should resolve flush once the transport has the logs, with or without a callback', async () => {
+        const logger = createFileLogger();
+        const callback = jest.fn();
+
+        logger.info('Loan approved');
+        await expect(logger.flush(callback)).resolves.toBeUndefined();
+        expect(callback).toHaveBeenCalledWith(undefined);
+
+        await shutdownLogger(logger);
+    });
+
+    it('should write every log before shutdown resolves', async () => {
+        const logger = createFileLogger();
+
+        for (let index = 0; index < 100; index++) {
+            logger.info(`Disbursal ${index}`);
+        }
+        await shutdownLogger(logger, { gracePeriodMs: 5000 });
+        await shutdownLogger(logger);
+
+        const messages = readMessages();
+        expect(messages).toHaveLength(100);
+        expect(messages[99]).toBe('Disbursal 99');
+    });
+
+    it('should log the signal, flush and exit', async () => {
+        const logger = createFileLogger();
+        const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+        enableShutdownSignals(logger, { signals: ['SIGTERM'], gracePeriodMs: 5000 });
+
+        logger.info('Last request');
+        process.emit('SIGTERM');
+        for (let attempt = 0; attempt < 50 && exit.mock.calls.length === 0; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+
+        expect(exit).toHaveBeenCalledWith(143);
+        expect(readMessages()).toEqual(['Last request', 'Received SIGTERM, shutting down']);
+    });
+
+    it('should leave the exit to the app when it handles the signal', () => {
+        const entries = [];
+        const logger = createLogger({
+            level: 'info',
+            transport: undefined,
+            hooks: { logMethod: (args) => entries.push(args[0]) }
+        });
+        const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+        const appHandler = jest.fn();
+        enableShutdownSignals(logger, { signals: ['SIGTERM'] });
+        process.on('SIGTERM', appHandler);
+
+        process.emit('SIGTERM');
+        process.removeListener('SIGTERM', appHandler);
+
+        expect(appHandler).toHaveBeenCalled();
+        expect(entries[0].message).toBe('Received SIGTERM, flushing logs');
+        expect(exit).not.toHaveBeenCalled();
+    });
+});
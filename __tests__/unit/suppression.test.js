@@ -0,0 +1,108 @@
+// __tests__/unit/suppression.test.js
+const { createCaptureLogger } = require('../helpers/capture-logger');
+const { parseSuppressionLimits } = require('../../src/logger/suppression');
+const RequestContext = require('../../src/context');
+const { setConfigOverrides } = require('../../src/config/constants');
+
+describe('Log suppression', () => {
+    let entries;
+    let logger;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        setConfigOverrides({ LOG_SUPPRESSION_LIMITS: 'error=2,warn=1', LOG_SUPPRESSION_WINDOW_MS: 60000 });
+        ({ logger, entries } = createCaptureLogger('info'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        setConfigOverrides({});
+    });
+
+    const logBureauFailure = (requestId) => {
+        const context = new RequestContext();
+        context.requestId = requestId;
+        context.setMetadata('loanId', `L-${requestId}`);
+        RequestContext.run(context, () => {
+            logger.error('Bureau call failed', { error: { type: 'ECONNREFUSED' } });
+        });
+    };
+
+    it('should parse limits per level and never limit fatal', () => {
+        expect(parseSuppressionLimits('error=10, warn=20,*=50,fatal=1,loud=3,debug=x'))
+            .toEqual({ error: 10, warn: 20, '*': 50 });
+        expect(parseSuppressionLimits({ INFO: 5 })).toEqual({ info: 5 });
+        expect(parseSuppressionLimits(undefined)).toEqual({});
+    });
+
+    it('should let the first entries through and summarize the repeats when the window ends', () => {
+        ['req-1', 'req-2', 'req-3', 'req-4', 'req-5'].forEach(logBureauFailure);
+
+        expect(entries.map(entry => entry.requestId)).toEqual(['req-1', 'req-2']);
+
+        jest.advanceTimersByTime(60000);
+
+        const summary = entries[2];
+        expect(entries).toHaveLength(3);
+        expect(summary.type).toBe('suppressed');
+        expect(summary.message).toBe('Suppressed 3 repeats of "Bureau call failed"');
+        expect(summary.suppressed).toMatchObject({
+            count: 3,
+            allowed: 2,
+            message: 'Bureau call failed',
+            errorType: 'ECONNREFUSED',
+            windowMs: 60000,
+            sampleRequestId: 'req-3'
+        });
+        expect(summary.suppressed.callSite).toMatch(/suppression\.test\.js:\d+$/);
+        // Logged outside the request that set the timer
+        expect(summary.requestId).toBeFalsy();
+        expect(summary.loanId).toBeUndefined();
+
+        // A new window lets entries through again
+        logBureauFailure('req-6');
+        expect(entries[3].requestId).toBe('req-6');
+    });
+
+    it('should log the summary outside the request that rolls the window', () => {
+        ['req-1', 'req-2', 'req-3'].forEach(logBureauFailure);
+        jest.setSystemTime(Date.now() + 60000);
+        logBureauFailure('req-4');
+
+        expect(entries.map(entry => [entry.type, entry.requestId, entry.loanId])).toEqual([
+            [undefined, 'req-1', 'L-req-1'],
+            [undefined, 'req-2', 'L-req-2'],
+            ['suppressed', '', undefined],
+            [undefined, 'req-4', 'L-req-4']
+        ]);
+        expect(entries[2].suppressed.sampleRequestId).toBe('req-3');
+    });
+
+    it('should fingerprint by level, message, error type and call site', () => {
+        ['Cache miss', 'Cache miss', 'Cache evicted'].forEach(message => logger.warn(message));
+        logger.warn('Cache miss');
+        ['ETIMEDOUT', 'ECONNRESET', 'ECONNRESET', 'ECONNRESET'].forEach(type => {
+            logger.error('Bureau call failed', { error: { type } });
+        });
+
+        expect(entries.map(entry => [entry.message, entry.error?.type])).toEqual([
+            ['Cache miss', undefined],
+            ['Cache evicted', undefined],
+            ['Cache miss', undefined],
+            ['Bureau call failed', 'ETIMEDOUT'],
+            ['Bureau call failed', 'ECONNRESET'],
+            ['Bureau call failed', 'ECONNRESET']
+        ]);
+    });
+
+    it('should never suppress fatal or unlimited levels', () => {
+        for (let i = 0; i < 5; i++) {
+            logger.fatal('Database unreachable');
+            logger.info('Polling');
+        }
+
+        expect(entries).toHaveLength(10);
+        jest.advanceTimersByTime(60000);
+        expect(entries).toHaveLength(10);
+    });
+});
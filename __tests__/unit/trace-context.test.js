@@ -0,0 +1,110 @@
+// __tests__/unit/trace-context.test.js
+const TraceContext = require('../../src/context/trace-context');
+
+describe('TraceContext', () => {
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const upstreamSpanId = '00f067aa0ba902b7';
+
+    describe('parent span id', () => {
+        it('should keep the upstream span of a traceparent header', () => {
+            const context = TraceContext.parseTraceParent(`00-${traceId}-${upstreamSpanId}-01`);
+
+            expect(context.traceId).toBe(traceId);
+            expect(context.parentSpanId).toBe(upstreamSpanId);
+            expect(context.spanId).toMatch(/^[0-9a-f]{16}$/);
+            expect(context.spanId).not.toBe(upstreamSpanId);
+        });
+
+        it('should ignore an all-zero traceparent span', () => {
+            const context = TraceContext.parseTraceParent(`00-${traceId}-0000000000000000-01`);
+
+            expect(context.parentSpanId).toBe('');
+        });
+
+        it('should convert the decimal span of a cloud trace header', () => {
+            const context = TraceContext.parseCloudTrace(`${traceId}/1;o=1`);
+
+            expect(context.parentSpanId).toBe('0000000000000001');
+            expect(context.traceFlags).toBe('01');
+        });
+
+        it('should keep hex spans written by toCloudTrace', () => {
+            const context = TraceContext.parseCloudTrace(`${traceId}/${upstreamSpanId};o=0`);
+
+            expect(context.parentSpanId).toBe(upstreamSpanId);
+            expect(context.traceFlags).toBe('00');
+        });
+
+        it('should keep the Parent of an X-Amzn-Trace-Id header', () => {
+            const context = TraceContext.parseAwsTraceId(
+                `Root=1-69313ce7-190b8f6099d578eaf1f561bc;Parent=${upstreamSpanId};Sampled=1`
+            );
+
+            expect(context.traceId).toBe('1-69313ce7-190b8f6099d578eaf1f561bc');
+            expect(context.parentSpanId).toBe(upstreamSpanId);
+            expect(context.spanId).not.toBe(upstreamSpanId);
+            expect(context.toAwsTraceId()).toContain(`Parent=${context.spanId}`);
+        });
+
+        it('should link child spans to their parent', () => {
+            const parent = TraceContext.generateNew();
+            const child = parent.createChildSpan();
+
+            expect(parent.parentSpanId).toBe('');
+            expect(child.traceId).toBe(parent.traceId);
+            expect(child.parentSpanId).toBe(parent.spanId);
+        });
+    });
+
+    describe('B3', () => {
+        it('should parse the single b3 header', () => {
+            const context = TraceContext.parseB3Single(`${traceId}-${upstreamSpanId}-0-05e3ac9a4f6e3b90`);
+
+            expect(context.traceId).toBe(traceId);
+            expect(context.parentSpanId).toBe(upstreamSpanId);
+            expect(context.traceFlags).toBe('00');
+        });
+
+        it('should pad 64-bit trace ids and honor sampling-only headers', () => {
+            expect(TraceContext.parseB3Single(`a3ce929d0e0e4736-${upstreamSpanId}`).traceId)
+                .toBe('0000000000000000a3ce929d0e0e4736');
+            expect(TraceContext.parseB3Single('0').traceFlags).toBe('00');
+        });
+
+        it('should parse multi headers', () => {
+            const context = TraceContext.parseB3Multi({
+                'x-b3-traceid': traceId,
+                'x-b3-spanid': upstreamSpanId,
+                'x-b3-sampled': '1'
+            });
+
+            expect(context.traceId).toBe(traceId);
+            expect(context.parentSpanId).toBe(upstreamSpanId);
+            expect(context.traceFlags).toBe('01');
+        });
+
+        it('should start a new trace for invalid headers', () => {
+            const context = TraceContext.parseB3Multi({ 'x-b3-traceid': 'nope', 'x-b3-spanid': upstreamSpanId });
+
+            expect(context.traceId).not.toBe('nope');
+            expect(context.parentSpanId).toBe('');
+        });
+
+        it('should write single and multi headers', () => {
+            const context = TraceContext.parseTraceParent(`00-${traceId}-${upstreamSpanId}-01`);
+            const headers = context.toB3Headers(['single', 'multi']);
+
+            expect(headers.b3).toBe(`${traceId}-${context.spanId}-1-${upstreamSpanId}`);
+            expect(headers['x-b3-traceid']).toBe(traceId);
+            expect(headers['x-b3-spanid']).toBe(context.spanId);
+            expect(headers['x-b3-sampled']).toBe('1');
+            expect(context.toB3Headers([])).toEqual({});
+        });
+
+        it('should unwrap AWS trace ids', () => {
+            const context = TraceContext.parseAwsTraceId('Root=1-69313ce7-190b8f6099d578eaf1f561bc;Sampled=1');
+
+            expect(context.toHexTraceId()).toBe('69313ce7190b8f6099d578eaf1f561bc');
+        });
+    });
+});
@@ -1,9 +1,52 @@
 // src/config/constants.js
+const { AsyncLocalStorage } = require('async_hooks');
+const { CONFIG_SCHEMA, resolveConfigValue, buildConfig, maskConfigValue } = require('./schema');
 
-let configOverrides = {};
+// Configuration of the logger instance running the current code, null for the global configuration
+const configStorage = new AsyncLocalStorage();
+// Global configuration from setConfigOverrides or the latest configure(), null until then (keys are then read from the environment)
+let globalConfig = null;
 
+/**
+ * Resolve and validate a configuration, e.g. for one configure() instance
+ * @param {object} overrides - Options passed to configure()
+ * @returns {object} { overrides, values }
+ * @throws {Error} Listing every invalid value
+ */
+const createConfig = (overrides = {}) => ({ overrides, values: buildConfig(overrides) });
+
+/**
+ * Run fn with a configuration, so every getConfigValue() it makes (synchronously or
+ * in its async continuations) reads that configuration
+ * @param {object|null} config - From createConfig, null for the global configuration
+ * @param {function} fn
+ * @returns {any} Result of fn
+ */
+const runWithConfig = (config, fn) => (configStorage.getStore() === (config || null)
+  ? fn()
+  : configStorage.run(config || null, fn));
+
+/**
+ * Get the configure() instance config the current code runs with
+ * @returns {object|null} null for the global configuration
+ */
+const getScopedConfig = () => configStorage.getStore() || null;
+
+const getActiveConfig = () => getScopedConfig() || globalConfig;
+
+/**
+ * Get a configuration value: configure() option, then environment variable, then default.
+ * Declared keys (see schema.js) come typed, with the schema default.
+ * @param {string} key
+ * @param {any} defaultValue - Used when the key has no value
+ * @returns {any}
+ */
 const getConfigValue = (key, defaultValue) => {
-  return configOverrides[key] || process.env[key] || defaultValue;
+  const config = getActiveConfig();
+  const value = config && Object.prototype.hasOwnProperty.call(config.values, key)
+    ? config.values[key]
+    : resolveConfigValue(key, config?.overrides).value;
+  return value ?? defaultValue;
 };
 
 const EXCLUDED_PATHS = [
@@ -13,15 +56,17 @@ const EXCLUDED_PATHS = [
   '/*/metrics'
 ];
 
+const matchesPathPattern = (path, pattern) => {
+  if (pattern.includes('*')) {
+    const regexPattern = pattern.replace('*', '[^/]+');
+    return new RegExp(`^${regexPattern}$`).test(path);
+  }
+  return path === pattern;
+};
+
 const shouldExcludePath = (path, customExclusions = []) => {
   const pathsToCheck = [...EXCLUDED_PATHS, ...customExclusions];
-  return pathsToCheck.some(pattern => {
-    if (pattern.includes('*')) {
-      const regexPattern = pattern.replace('*', '[^/]+');
-      return new RegExp(`^${regexPattern}$`).test(path);
-    }
-    return path === pattern;
-  });
+  return pathsToCheck.some(pattern => matchesPathPattern(path, pattern));
 };
 
 const SEVERITY_LEVEL = {
@@ -112,34 +157,101 @@ const DEFAULT_SENSITIVE_HEADERS = [
 ];
 
 const getSensitiveFields = () => {
-  const envFields = getConfigValue('LOGGER_SENSITIVE_FIELDS');
-  if (envFields) {
+  const fields = getConfigValue('LOGGER_SENSITIVE_FIELDS');
+  if (fields.length > 0) {
     return new Set([
       ...Array.from(DEFAULT_SENSITIVE_FIELDS),
-      ...envFields.split(',').map(f => f.trim().toLowerCase())
+      ...fields.map(f => f.toLowerCase())
     ]);
   }
   return DEFAULT_SENSITIVE_FIELDS;
 };
 
+// The debug-token header is always redacted, a logged token could be replayed until it expires
 const getSensitiveHeaders = () => {
-  const envHeaders = getConfigValue('LOGGER_SENSITIVE_HEADERS');
-  if (envHeaders) {
-    return envHeaders.split(',').map(h => h.trim().toLowerCase());
-  }
-  return DEFAULT_SENSITIVE_HEADERS;
+  const headers = getConfigValue('LOGGER_SENSITIVE_HEADERS');
+  return [
+    ...(headers.length > 0 ? headers.map(h => h.toLowerCase()) : DEFAULT_SENSITIVE_HEADERS),
+    getConfigValue('LOG_DEBUG_HEADER').toLowerCase()
+  ];
 };
 
+// Baggage keys copied into every log entry
+const getBaggageLogKeys = () => getConfigValue('LOG_BAGGAGE_KEYS');
+
+// Metadata keys copied into every log entry, all metadata when unset
+const getMetadataLogKeys = () => getConfigValue('LOG_METADATA_KEYS');
+
+// JWT claims copied into the identity of a request
+const getIdentityClaims = () => getConfigValue('LOG_IDENTITY_CLAIMS');
+
+// Metadata keys copied into context carriers for queues and background jobs
+const getCarrierMetadataKeys = () => getConfigValue('CONTEXT_CARRIER_METADATA_KEYS');
+
+// Incoming headers checked for a request id, in order of precedence
+const getRequestIdHeaders = () => getConfigValue('REQUEST_ID_HEADERS').map(h => h.toLowerCase());
+
+// Response header echoing the request id, 'none' disables the echo
+const getRequestIdResponseHeader = () => {
+  const header = getConfigValue('REQUEST_ID_RESPONSE_HEADER').toLowerCase();
+  return header === 'none' ? '' : header;
+};
+
+const B3_FORMATS = ['single', 'multi'];
+
+const parseB3Formats = (formats) => formats
+  .map(f => f.toLowerCase())
+  .filter(f => B3_FORMATS.includes(f));
+
+// B3 formats accepted on incoming requests ('single', 'multi', or 'none')
+const getB3IngressFormats = () => parseB3Formats(getConfigValue('B3_INGRESS_FORMATS'));
+
+// B3 formats written alongside traceparent on outgoing headers ('single', 'multi', or 'none')
+const getB3EgressFormats = () => parseB3Formats(getConfigValue('B3_EGRESS_FORMATS'));
+
+/**
+ * Set the global configuration, used by loggers without their own configure() instance.
+ * Every declared key is validated and fixed until the next call.
+ * @param {object} overrides - Options, as passed to configure()
+ * @throws {Error} Listing every invalid value, leaving the previous configuration in place
+ */
 const setConfigOverrides = (overrides = {}) => {
-  configOverrides = overrides;
+  globalConfig = createConfig(overrides);
 };
 
+/**
+ * Make an already resolved configuration the global one, e.g. that of the latest configure() instance
+ * @param {object} config - See createConfig
+ */
+const setGlobalConfig = (config) => {
+  globalConfig = config;
+};
+
+/**
+ * Check the active configuration (environment and options) without fixing it
+ * @throws {Error} Listing every invalid value
+ */
+const validateConfig = () => {
+  buildConfig(getActiveConfig()?.overrides);
+};
+
+/**
+ * Report every declared key of the active configuration with its resolved value and
+ * where it came from, secrets masked
+ * @returns {object} key -> { value, source } with source configure, env or default
+ */
+const getEffectiveConfig = () => Object.fromEntries(Object.keys(CONFIG_SCHEMA).map(key => {
+  const { source } = resolveConfigValue(key, getActiveConfig()?.overrides);
+  return [key, { value: maskConfigValue(key, getConfigValue(key)), source }];
+}));
+
 module.exports = {
-  LOG_LEVEL: getConfigValue('LOG_LEVEL', 'info'),
-  LOG_FORMAT: getConfigValue('LOG_FORMAT', 'json'),
-  PROJECT_ID: getConfigValue('PROJECT_ID', 'ambak-399309'),
-  SERVICE_NAME: () => getConfigValue('SERVICE_NAME', 'express-app'),
-  LOGGER_NAME: getConfigValue('LOGGER_NAME', 'api-logger'),
+  // Resolved when read, so configure() applies to them
+  get LOG_LEVEL() { return getConfigValue('LOG_LEVEL'); },
+  get LOG_FORMAT() { return getConfigValue('LOG_FORMAT'); },
+  get PROJECT_ID() { return getConfigValue('PROJECT_ID'); },
+  SERVICE_NAME: () => getConfigValue('SERVICE_NAME'),
+  get LOGGER_NAME() { return getConfigValue('LOGGER_NAME'); },
   TRACE_HEADER: 'x-cloud-trace-context',
   REQUEST_ID_HEADER: 'x-request-id',
   LOGGER_CONSTANTS: {
@@ -148,21 +260,36 @@ module.exports = {
     CONSOLE_LOGGER_NAME: 'console-logger'
   },
   getConfigValue,
+  getEffectiveConfig,
+  validateConfig,
+  createConfig,
+  runWithConfig,
+  getScopedConfig,
   getSensitiveFields,
   getSensitiveHeaders,
+  getBaggageLogKeys,
+  getMetadataLogKeys,
+  getIdentityClaims,
+  getCarrierMetadataKeys,
+  getRequestIdHeaders,
+  getRequestIdResponseHeader,
+  getB3IngressFormats,
+  getB3EgressFormats,
   setConfigOverrides,
+  setGlobalConfig,
   
   EXCLUDED_PATHS,
+  matchesPathPattern,
   shouldExcludePath,
   SEVERITY_LEVEL,
   LOG_LEVELS,
   resolveLogLevel,
   resolveLogRegister,
   MAX_REGEX_TEST_SIZE: 10000,
-  SLOW_RESPONSE_THRESHOLD_MS: parseInt(getConfigValue('SLOW_RESPONSE_THRESHOLD_MS', '3000'), 10) || 3000,
+  get SLOW_RESPONSE_THRESHOLD_MS() { return getConfigValue('SLOW_RESPONSE_THRESHOLD_MS'); },
   CONTENT_LIMITS: {
-    STRING_RESPONSE: parseInt(getConfigValue('LOG_STRING_LIMIT', '1024')),
-    JSON_DEPTH: parseInt(getConfigValue('LOG_JSON_DEPTH', '10')),
-    ARRAY_LENGTH: parseInt(getConfigValue('LOG_ARRAY_LENGTH', '100'))
+    get STRING_RESPONSE() { return getConfigValue('LOG_STRING_LIMIT'); },
+    get JSON_DEPTH() { return getConfigValue('LOG_JSON_DEPTH'); },
+    get ARRAY_LENGTH() { return getConfigValue('LOG_ARRAY_LENGTH'); }
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,236 @@
+// src/config/schema.js
+
+const LEVEL_NAMES = ['trace', 'debug', 'info', 'warn', 'error', 'fatal', 'silent'];
+
+/**
+ * Declared configuration. Each key is read from the configure() options, then the
+ * environment variable named by `env` (the key itself by default), then `default`.
+ *   type     - string, number, boolean, enum, list (comma separated or array) or any
+ *   values   - Allowed values of an enum, or of each list entry
+ *   min/max  - Bounds of a number
+ *   secret   - Masked by getEffectiveConfig()
+ *   validate - (value) => error message or undefined, for any
+ */
+const CONFIG_SCHEMA = {
+  // Output
+  LOG_LEVEL: { type: 'enum', values: LEVEL_NAMES, default: 'info' },
+  LOG_REGISTER: { type: 'number', min: 0, max: 5, default: 5 },
+  LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'], default: 'json' },
+  LOG_TYPE: { type: 'enum', values: ['gcp', 'aws'], default: 'gcp' },
+  PROJECT_ID: { type: 'string', default: 'ambak-399309' },
+  SERVICE_NAME: { type: 'string', default: 'express-app' },
+  LOGGER_NAME: { type: 'string', default: 'api-logger' },
+  LOG_EXPORTER: { type: 'enum', values: ['stdout', 'otlp'], default: 'stdout' },
+  OTLP_LOGS_ENDPOINT: { type: 'string', default: 'http://localhost:4318/v1/logs' },
+  OTLP_HEADERS: { type: 'string', secret: true },
+  LOG_DESTINATIONS: {
+    type: 'any',
+    validate: (value) => {
+      try {
+        const destinations = typeof value === 'string' ? JSON.parse(value) : value;
+        return typeof destinations === 'object' && destinations !== null
+          ? undefined
+          : 'must be an array of destinations';
+      } catch (error) {
+        return `must be valid JSON (${error.message})`;
+      }
+    }
+  },
+
+  // Levels
+  LOG_LEVELS: {
+    type: 'any',
+    validate: (value) => (typeof value === 'string' || typeof value === 'object'
+      ? undefined
+      : 'must be "pattern=level,..." or an object')
+  },
+  LOG_LEVEL_REVERT_MS: { type: 'number', min: 0, default: 0 },
+  LOG_LEVEL_SIGNAL: { type: 'string' },
+  LOG_LEVEL_SIGNAL_CYCLE: { type: 'list', values: LEVEL_NAMES, default: ['info', 'debug', 'trace'] },
+  LOG_DEBUG_HEADER: { type: 'string', default: 'x-debug-log' },
+  LOG_DEBUG_SECRET: { type: 'string', secret: true },
+
+  // Shutdown
+  LOG_SHUTDOWN_SIGNALS: { type: 'list', default: ['SIGTERM', 'SIGINT'] },
+  LOG_SHUTDOWN_GRACE_MS: { type: 'number', min: 0, default: 5000 },
+
+  // Suppression
+  LOG_SUPPRESSION_LIMITS: {
+    type: 'any',
+    validate: (value) => (typeof value === 'string' || typeof value === 'object'
+      ? undefined
+      : 'must be "level=count,..." or an object')
+  },
+  LOG_SUPPRESSION_WINDOW_MS: { type: 'number', min: 1, default: 60000 },
+
+  // Log sampling
+  LOG_SAMPLE_RATES: {
+    type: 'any',
+    validate: (value) => (typeof value === 'string' || typeof value === 'object'
+      ? undefined
+      : 'must be "[type:]level=ratio,..." or an object')
+  },
+
+  // Content
+  SLOW_RESPONSE_THRESHOLD_MS: { type: 'number', min: 0, default: 3000 },
+  LOG_STRING_LIMIT: { type: 'number', min: 0, default: 1024 },
+  LOG_JSON_DEPTH: { type: 'number', min: 0, default: 10 },
+  LOG_ARRAY_LENGTH: { type: 'number', min: 0, default: 100 },
+  LOGGER_SENSITIVE_FIELDS: { type: 'list', default: [] },
+  LOGGER_SENSITIVE_HEADERS: { type: 'list', default: [] },
+  LOG_BAGGAGE_KEYS: { type: 'list', default: [] },
+  LOG_METADATA_KEYS: { type: 'list', default: [] },
+  LOG_IDENTITY_CLAIMS: { type: 'list', default: ['sub', 'iss', 'tenant', 'exp'] },
+  CONTEXT_CARRIER_METADATA_KEYS: { type: 'list', default: [] },
+
+  // Request ids
+  REQUEST_ID_HEADERS: { type: 'list', default: ['x-request-id'] },
+  REQUEST_ID_RESPONSE_HEADER: { type: 'string', default: 'x-request-id' },
+  REQUEST_ID_GENERATOR: {
+    type: 'any',
+    default: 'uuidv4',
+    validate: (value) => (['uuidv4', 'uuidv7', 'ulid', 'short'].includes(String(value).trim().toLowerCase())
+      || typeof value === 'function'
+      ? undefined
+      : 'must be uuidv4, uuidv7, ulid, short or a function')
+  },
+  REQUEST_ID_PRESERVE_CASE: { type: 'boolean', default: false },
+
+  // Tracing
+  TRACE_PROPAGATORS_EXTRACT: { type: 'list', default: [] },
+  TRACE_PROPAGATORS_INJECT: { type: 'list', default: [] },
+  B3_INGRESS_FORMATS: { type: 'list', values: ['single', 'multi', 'none'], default: ['single', 'multi'] },
+  B3_EGRESS_FORMATS: { type: 'list', values: ['single', 'multi', 'none'], default: ['none'] },
+  TRACE_SAMPLER: {
+    type: 'enum',
+    values: ['', 'always_on', 'always_off', 'traceidratio', 'parentbased_traceidratio'],
+    default: ''
+  },
+  TRACE_SAMPLE_RATIO: { type: 'number', min: 0, max: 1, default: 1 },
+  TRACE_SAMPLE_ROUTES: {
+    type: 'any',
+    validate: (value) => (typeof value === 'string' || typeof value === 'object'
+      ? undefined
+      : 'must be "pattern=ratio,..." or an object')
+  },
+  OTEL_BRIDGE: { type: 'boolean', default: false }
+};
+
+const BOOLEAN_VALUES = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+/**
+ * Convert a raw value to the type declared for its key
+ * @param {object} definition - Schema entry
+ * @param {any} raw - Value from configure() or the environment
+ * @returns {{ value: any, error: string|undefined }}
+ */
+const coerceValue = (definition, raw) => {
+  switch (definition.type) {
+    case 'string':
+      return { value: String(raw).trim() };
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (String(raw).trim() === '' || Number.isNaN(value)) {
+        return { error: `must be a number (got "${raw}")` };
+      }
+      if ((definition.min !== undefined && value < definition.min) || (definition.max !== undefined && value > definition.max)) {
+        const bounds = [definition.min !== undefined && `>= ${definition.min}`, definition.max !== undefined && `<= ${definition.max}`];
+        return { error: `must be ${bounds.filter(Boolean).join(' and ')} (got ${value})` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      const value = typeof raw === 'boolean' ? raw : BOOLEAN_VALUES[String(raw).trim().toLowerCase()];
+      return value === undefined ? { error: `must be true or false (got "${raw}")` } : { value };
+    }
+    case 'enum': {
+      const value = String(raw).trim().toLowerCase();
+      return definition.values.includes(value)
+        ? { value }
+        : { error: `must be one of ${definition.values.filter(Boolean).join(', ')} (got "${raw}")` };
+    }
+    case 'list': {
+      const value = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(entry => String(entry).trim())
+        .filter(Boolean);
+      const invalid = definition.values
+        ? value.filter(entry => !definition.values.includes(entry.toLowerCase()))
+        : [];
+      return invalid.length > 0
+        ? { error: `entries must be ${definition.values.join(', ')} (got "${invalid.join(', ')}")` }
+        : { value };
+    }
+    default: {
+      const error = definition.validate?.(raw);
+      return error ? { error } : { value: raw };
+    }
+  }
+};
+
+/**
+ * Resolve one key: configure() option, then environment variable, then default.
+ * Explicit options are honored even when falsy; empty environment variables count as unset.
+ * @param {string} key
+ * @param {object} overrides - Options passed to configure()
+ * @returns {{ value: any, source: string, error: string|undefined }}
+ */
+const resolveConfigValue = (key, overrides = {}) => {
+  const definition = CONFIG_SCHEMA[key];
+  const envValue = process.env[definition?.env || key];
+
+  let raw;
+  let source;
+  if (overrides[key] !== undefined && overrides[key] !== null) {
+    raw = overrides[key];
+    source = 'configure';
+  } else if (envValue !== undefined && envValue !== '') {
+    raw = envValue;
+    source = 'env';
+  } else {
+    return { value: definition?.default, source: 'default' };
+  }
+
+  if (!definition) return { value: raw, source };
+
+  const { value, error } = coerceValue(definition, raw);
+  return error
+    ? { value: definition.default, source, error: `${key} ${error}` }
+    : { value, source };
+};
+
+/**
+ * Resolve and validate every declared key
+ * @param {object} overrides - Options passed to configure()
+ * @returns {object} Resolved values by key
+ * @throws {Error} Listing every invalid value
+ */
+const buildConfig = (overrides = {}) => {
+  const config = {};
+  const errors = [];
+
+  Object.keys(CONFIG_SCHEMA).forEach(key => {
+    const { value, error } = resolveConfigValue(key, overrides);
+    if (error) errors.push(error);
+    config[key] = value;
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid logger configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+};
+
+/**
+ * Mask the value of a secret key
+ * @param {string} key
+ * @param {any} value
+ * @returns {any} '[REDACTED]' for secrets that are set
+ */
+const maskConfigValue = (key, value) => (CONFIG_SCHEMA[key]?.secret && value ? '[REDACTED]' : value);
+
+module.exports = {
+  CONFIG_SCHEMA,
+  resolveConfigValue,
+  buildConfig,
+  maskConfigValue
+};
@@ -0,0 +1,93 @@
+// src/context/baggage.js
+
+/**
+ * Limits from the W3C Baggage specification
+ */
+const BAGGAGE_LIMITS = {
+    MAX_ENTRIES: 64,
+    MAX_BYTES: 8192
+};
+
+// Baggage keys are RFC 7230 tokens
+const VALID_KEY = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+const isValidKey = (key) => typeof key === 'string' && VALID_KEY.test(key);
+
+const encodeEntry = (key, value) => `${key}=${encodeURIComponent(value)}`;
+
+const decodeValue = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Parse a W3C baggage header, dropping invalid members and anything past the limits
+ * @param {string} header - baggage header value
+ * @returns {Map<string, string>}
+ */
+const parseBaggage = (header) => {
+    const baggage = new Map();
+    if (!header || typeof header !== 'string') return baggage;
+
+    let totalBytes = 0;
+    for (const member of header.split(',')) {
+        // Member properties (";prop=value") are not kept
+        const [pair] = member.split(';');
+        const separator = pair.indexOf('=');
+        if (separator < 1) continue;
+
+        const key = pair.slice(0, separator).trim();
+        const value = decodeValue(pair.slice(separator + 1).trim());
+        if (!isValidKey(key) || value === null) continue;
+
+        const entryBytes = Buffer.byteLength(encodeEntry(key, value)) + (baggage.size > 0 ? 1 : 0);
+        if (baggage.size >= BAGGAGE_LIMITS.MAX_ENTRIES
+            || totalBytes + entryBytes > BAGGAGE_LIMITS.MAX_BYTES) {
+            break;
+        }
+
+        totalBytes += entryBytes;
+        baggage.set(key, value);
+    }
+
+    return baggage;
+};
+
+/**
+ * Serialize baggage entries to a W3C baggage header value
+ * @param {Map<string, string>} baggage - Baggage entries
+ * @returns {string} Header value, empty when there is no baggage
+ */
+const serializeBaggage = (baggage) => {
+    if (!baggage || baggage.size === 0) return '';
+
+    return Array.from(baggage.entries())
+        .slice(0, BAGGAGE_LIMITS.MAX_ENTRIES)
+        .map(([key, value]) => encodeEntry(key, value))
+        .join(',');
+};
+
+/**
+ * Check whether baggage would stay within the limits after setting an entry
+ * @param {Map<string, string>} baggage - Current baggage entries
+ * @param {string} key - Key to set
+ * @param {string} value - Value to set
+ * @returns {boolean}
+ */
+const fitsLimits = (baggage, key, value) => {
+    const next = new Map(baggage);
+    next.set(key, value);
+    return next.size <= BAGGAGE_LIMITS.MAX_ENTRIES
+        && Buffer.byteLength(serializeBaggage(next)) <= BAGGAGE_LIMITS.MAX_BYTES;
+};
+
+module.exports = {
+    BAGGAGE_LIMITS,
+    isValidKey,
+    parseBaggage,
+    serializeBaggage,
+    fitsLimits
+};
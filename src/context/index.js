@@ -1,7 +1,21 @@
 // src/context/index.js
 const asyncLocalStorage = require('./async-context');
 const TraceContext = require('./trace-context');
-const crypto = require('crypto');
+const { isValidKey, parseBaggage, serializeBaggage, fitsLimits } = require('./baggage');
+const { extractTraceContext, injectTraceContext } = require('./propagators');
+const { applySampling } = require('./sampler');
+const { isValidRequestId, resolveRequestId } = require('./request-id');
+const {
+    isOtelBridgeEnabled,
+    getActiveTraceContext,
+    startOtelSpan,
+    endOtelSpan,
+    runInOtelContext
+} = require('./otel');
+
+const BOUND_CONTEXT = Symbol('requestContext.boundContext');
+const BOUND_FUNCTION = Symbol('requestContext.boundFunction');
+const EMITTER_ADD_METHODS = ['addListener', 'on', 'once', 'prependListener', 'prependOnceListener'];
 
 /**
  * RequestContext class for maintaining request-scoped context
@@ -12,6 +26,13 @@ class RequestContext {
         this.traceContext = null;
         this.startTime = process.hrtime();
         this.metadata = new Map();
+        this.baggage = new Map();
+        // Who made the request (JWT claims or getIdentity), null until resolved
+        this.identity = null;
+        // Level granted by a debug token, applies to every log of the request
+        this.logLevel = undefined;
+        // Head-based sampling decision, undefined when sampling is disabled
+        this.sampled = undefined;
     }
 
     /**
@@ -22,6 +43,84 @@ class RequestContext {
         return asyncLocalStorage.getStore() || new RequestContext();
     }
 
+    /**
+     * Get the active context without fabricating an empty one
+     * @returns {RequestContext|undefined} undefined outside of a request scope
+     */
+    static current() {
+        return asyncLocalStorage.getStore();
+    }
+
+    /**
+     * Run a function with the given context as the active context
+     * @param {RequestContext} context - Context to activate
+     * @param {function} fn - Function to run
+     * @param {...any} args - Arguments passed to fn
+     * @returns {any} Result of fn
+     */
+    static run(context, fn, ...args) {
+        return asyncLocalStorage.run(context, fn, ...args);
+    }
+
+    /**
+     * Bind a function to a context, so it runs in that context wherever it is called from
+     * (EventEmitter listeners, pool callbacks, timers created before the request)
+     * @param {function} fn - Function to bind
+     * @param {RequestContext} [context] - Defaults to the active context
+     * @returns {function} Bound function, or fn itself when there is no context
+     */
+    static bind(fn, context = RequestContext.current()) {
+        if (typeof fn !== 'function' || !context) return fn;
+
+        const bound = function (...args) {
+            return asyncLocalStorage.run(context, () => fn.apply(this, args));
+        };
+        // Lets EventEmitter#removeListener find the bound listener by the original one
+        bound.listener = fn;
+        bound[BOUND_FUNCTION] = true;
+        return bound;
+    }
+
+    /**
+     * Bind every listener added to an emitter from now on to a context.
+     * Listeners can still be removed with the original function.
+     * @param {EventEmitter} emitter - Emitter to bind
+     * @param {RequestContext} [context] - Defaults to the active context
+     * @returns {EventEmitter} The same emitter
+     */
+    static bindEmitter(emitter, context = RequestContext.current()) {
+        if (!emitter || !context) return emitter;
+
+        const alreadyBound = Boolean(emitter[BOUND_CONTEXT]);
+        emitter[BOUND_CONTEXT] = context;
+        if (alreadyBound) return emitter;
+
+        EMITTER_ADD_METHODS.forEach(method => {
+            const original = emitter[method];
+            if (typeof original !== 'function') return;
+
+            emitter[method] = function (event, listener) {
+                // Native once() re-enters on() with its wrapper around the already bound listener
+                const isBound = listener?.[BOUND_FUNCTION] || listener?.listener?.[BOUND_FUNCTION];
+                return original.call(this, event, isBound
+                    ? listener
+                    : RequestContext.bind(listener, this[BOUND_CONTEXT]));
+            };
+        });
+
+        const originalRemove = emitter.removeListener;
+        emitter.removeListener = function (event, listener) {
+            // once() wraps the bound listener again, so look one level deeper too
+            const registered = this.rawListeners(event).find(raw => raw === listener
+                || raw.listener === listener
+                || raw.listener?.listener === listener);
+            return originalRemove.call(this, event, registered || listener);
+        };
+        emitter.off = emitter.removeListener;
+
+        return emitter;
+    }
+
     
     /**
      * Create a new context from request
@@ -29,57 +128,77 @@ class RequestContext {
      * @returns {RequestContext}
      */
     static create(req) {
-        let MAX_REQUEST_ID_LENGTH = 128;
-        let VALID_REQUEST_ID = /^[a-zA-Z0-9._\-]+$/;
         const context = new RequestContext();
         const { getConfigValue } = require('../config/constants');
     
-        // Generate request ID - always use short 8-character format for consistency
-        // If x-request-id header exists, use it only if it's already 8 chars, otherwise generate new one
-        const incomingRequestId = req.headers['x-request-id'];
-        if (
-            incomingRequestId
-            && typeof incomingRequestId === 'string'
-            && incomingRequestId.length > 0
-            && incomingRequestId.length <= MAX_REQUEST_ID_LENGTH
-            && VALID_REQUEST_ID.test(incomingRequestId)
-        ) {
-            context.requestId = incomingRequestId.toLowerCase();
-        } else {
-            context.requestId = crypto.randomUUID();
-        }
+        // Reuse a valid id from the REQUEST_ID_HEADERS, else generate one with REQUEST_ID_GENERATOR
+        context.requestId = resolveRequestId(req.headers);
     
-        // Check LOG_TYPE to determine which trace format to use
-        const logType = getConfigValue('LOG_TYPE', 'gcp');
-        
-        // Try AWS X-Amzn-Trace-Id first if LOG_TYPE is 'aws'
-        let traceContext;
-        if (logType === 'aws') {
-            if(req.headers['x-cloud-trace-context']) {
-                traceContext = TraceContext.parseAwsTraceId(req.headers['x-cloud-trace-context']);
-            } else {    
-                if (req.headers['x-amzn-trace-id']) {
-                    traceContext = TraceContext.parseAwsTraceId(req.headers['x-amzn-trace-id']);
-                } else {
-                    // Generate new AWS-formatted trace ID if no header present
-                    traceContext = TraceContext.generateNew(true);
-                }
+        // Extract with the configured propagators, else start a new trace in the LOG_TYPE format
+        const logType = getConfigValue('LOG_TYPE');
+        const extractedContext = extractTraceContext(req.headers);
+        context.traceContext = extractedContext || TraceContext.generateNew(logType === 'aws');
+
+        // With the OTel bridge, adopt the server span opened by OpenTelemetry instrumentation
+        const otelTraceContext = getActiveTraceContext();
+        if (otelTraceContext) {
+            if (extractedContext && extractedContext.toHexTraceId() === otelTraceContext.toHexTraceId()) {
+                otelTraceContext.parentSpanId = extractedContext.parentSpanId;
             }
-        } else if (req.headers['x-cloud-trace-context']) {
-            traceContext = TraceContext.parseCloudTrace(req.headers['x-cloud-trace-context']);
-        } else if (req.headers.traceparent) {
-            traceContext = TraceContext.parseTraceParent(req.headers.traceparent);
-        } else {
-            traceContext = TraceContext.generateNew(false);
+            context.traceContext = otelTraceContext;
         }
-    
-        // Parse tracestate if present
-        traceContext.parseTraceState(req.headers.tracestate);
-        context.traceContext = traceContext;
+
+        context.sampled = applySampling(context.traceContext, {
+            path: req.path,
+            hasParent: Boolean(extractedContext || otelTraceContext)
+        });
+        context.baggage = parseBaggage(req.headers.baggage);
     
         return context;
     }
 
+    /**
+     * Restore a context from a carrier produced by toCarrier(), e.g. in a queue consumer.
+     * The restored context shares the traceId and opens a new child span.
+     * @param {object} carrier - Carrier from message attributes
+     * @returns {RequestContext}
+     */
+    static fromCarrier(carrier = {}) {
+        const { getConfigValue } = require('../config/constants');
+        const context = new RequestContext();
+        const headers = Object.fromEntries(
+            Object.entries(carrier || {}).map(([key, value]) => [key.toLowerCase(), value])
+        );
+
+        // Carriers come from other services too, so their ids are checked like incoming headers
+        context.requestId = isValidRequestId(carrier?.requestId)
+            ? carrier.requestId
+            : resolveRequestId(headers);
+
+        const logType = getConfigValue('LOG_TYPE');
+        const extractedContext = extractTraceContext(headers);
+        context.traceContext = extractedContext || TraceContext.generateNew(logType === 'aws');
+        context.sampled = applySampling(context.traceContext, { hasParent: Boolean(extractedContext) });
+        context.baggage = parseBaggage(headers.baggage);
+
+        if (carrier?.metadata && typeof carrier.metadata === 'object') {
+            Object.entries(carrier.metadata).forEach(([key, value]) => context.setMetadata(key, value));
+        }
+
+        return context;
+    }
+
+    /**
+     * Restore a context from a carrier and run a function in it
+     * @param {object} carrier - Carrier from message attributes
+     * @param {function} fn - Function to run, receives the restored context
+     * @returns {any} Result of fn
+     */
+    static runWithCarrier(carrier, fn) {
+        const context = RequestContext.fromCarrier(carrier);
+        return asyncLocalStorage.run(context, () => fn(context));
+    }
+
     // Get trace ID for logging
     get traceId() {
         return this.traceContext?.traceId || '';
@@ -90,6 +209,11 @@ class RequestContext {
         return this.traceContext?.spanId || '';
     }
 
+    // Get the upstream (parent) span ID for logging
+    get parentSpanId() {
+        return this.traceContext?.parentSpanId || '';
+    }
+
     /**
      * Get elapsed time in milliseconds
      * @returns {string}
@@ -105,22 +229,11 @@ class RequestContext {
      * @returns {object}
      */
     addTraceHeaders(headers = {}) {
-        const { getConfigValue } = require('../config/constants');
-        const logType = getConfigValue('LOG_TYPE', 'gcp');
+        injectTraceContext(this.traceContext, headers);
 
-        if (this.traceContext) {
-            if (logType === 'aws') {
-                headers['x-amzn-trace-id'] = this.traceContext.toAwsTraceId();
-            } else {
-                headers.traceparent = this.traceContext.toTraceParent();
-
-                const tracestate = this.traceContext.toTraceState();
-                if (tracestate) {
-                    headers.tracestate = tracestate;
-                }
-
-                headers['x-cloud-trace-context'] = this.traceContext.toCloudTrace();
-            }
+        const baggage = serializeBaggage(this.baggage);
+        if (baggage) {
+            headers.baggage = baggage;
         }
 
         headers['x-request-id'] = this.requestId;
@@ -128,6 +241,31 @@ class RequestContext {
         return headers;
     }
 
+    /**
+     * Serialize the context into a plain object to embed in queue message attributes
+     * (SQS, Bull, Pub/Sub), restored with RequestContext.fromCarrier()
+     * @param {object} options
+     * @param {string[]} options.metadataKeys - Metadata to include, defaults to CONTEXT_CARRIER_METADATA_KEYS
+     * @returns {object} requestId, trace headers of the inject propagators, baggage and metadata
+     */
+    toCarrier(options = {}) {
+        const { getCarrierMetadataKeys } = require('../config/constants');
+        const { metadataKeys = getCarrierMetadataKeys() } = options;
+
+        const { 'x-request-id': requestHeader, ...headers } = this.addTraceHeaders({});
+        const metadata = Object.fromEntries(
+            metadataKeys
+                .filter(key => this.metadata.has(key))
+                .map(key => [key, this.metadata.get(key)])
+        );
+
+        return {
+            requestId: this.requestId,
+            ...headers,
+            ...(Object.keys(metadata).length > 0 && { metadata })
+        };
+    }
+
     /**
      * Create context for outgoing requests
      * @returns {RequestContext}
@@ -135,6 +273,11 @@ class RequestContext {
     createChildContext() {
         const childContext = new RequestContext();
         childContext.requestId = this.requestId;
+        childContext.metadata = new Map(this.metadata);
+        childContext.identity = this.identity;
+        childContext.logLevel = this.logLevel;
+        childContext.baggage = new Map(this.baggage);
+        childContext.sampled = this.sampled;
         
         if (this.traceContext) {
             childContext.traceContext = this.traceContext.createChildSpan();
@@ -145,6 +288,90 @@ class RequestContext {
         return childContext;
     }
 
+    /**
+     * Run a callback inside a child span of the current context and log its duration.
+     * Logs emitted inside the callback carry the child spanId.
+     * With OTEL_BRIDGE on, the span is also started as an OpenTelemetry span.
+     * @param {string} name - Span name
+     * @param {function} fn - Callback receiving the span context, may return a promise
+     * @param {object} options - Span options
+     * @param {object} options.logger - Logger used for the span log (defaults to the base logger)
+     * @param {object} options.attributes - Extra fields recorded on the span
+     * @returns {any} Result of the callback
+     */
+    static startSpan(name, fn, options = {}) {
+        const { logger = require('../logger').logger, attributes = {} } = options;
+        const parentContext = RequestContext.get();
+        const spanContext = parentContext.createChildContext();
+        const otelSpan = isOtelBridgeEnabled()
+            ? startOtelSpan(name, parentContext.traceContext, attributes)
+            : null;
+        if (otelSpan) {
+            spanContext.traceContext = otelSpan.traceContext;
+        }
+        const startedAt = new Date();
+
+        const finish = (error) => {
+            const { formatJsonLog } = require('../utils/formatters');
+            const { serializers } = require('../utils/serializers');
+            const { SERVICE_NAME } = require('../config/constants');
+            const level = error ? 'error' : 'info';
+
+            if (otelSpan) {
+                endOtelSpan(otelSpan.span, error);
+            }
+
+            logger[level](formatJsonLog({
+                message: `Span ${name} ${error ? 'failed' : 'completed'}`,
+                type: 'span',
+                logLevel: level,
+                span: {
+                    name,
+                    spanId: spanContext.spanId,
+                    parentSpanId: spanContext.parentSpanId,
+                    startTime: startedAt.toISOString(),
+                    endTime: new Date().toISOString(),
+                    durationMs: parseFloat(spanContext.getElapsedMs()),
+                    status: error ? 'error' : 'ok',
+                    ...attributes
+                },
+                ...(error && { error: serializers.err(error) }),
+                requestId: spanContext.requestId,
+                traceId: spanContext.traceId,
+                spanId: spanContext.spanId,
+                service: SERVICE_NAME()
+            }));
+        };
+
+        const run = () => asyncLocalStorage.run(spanContext, () => {
+            let result;
+            try {
+                result = fn(spanContext);
+            } catch (error) {
+                finish(error);
+                throw error;
+            }
+
+            if (result && typeof result.then === 'function') {
+                return result.then(
+                    (value) => {
+                        finish();
+                        return value;
+                    },
+                    (error) => {
+                        finish(error);
+                        throw error;
+                    }
+                );
+            }
+
+            finish();
+            return result;
+        });
+
+        return otelSpan ? runInOtelContext(otelSpan.otelContext, run) : run();
+    }
+
     /**
      * Set custom metadata
      * @param {string} key 
@@ -162,6 +389,66 @@ class RequestContext {
     getMetadata(key) {
         return this.metadata.get(key);
     }
+
+    /**
+     * Get the metadata to merge into log entries, limited to LOG_METADATA_KEYS
+     * when set and sanitized like request bodies
+     * @returns {object}
+     */
+    getLogMetadata() {
+        if (this.metadata.size === 0) return {};
+
+        const { getMetadataLogKeys } = require('../config/constants');
+        const { sanitizeBody } = require('../utils/sanitizers');
+        const keys = getMetadataLogKeys();
+        const entries = Array.from(this.metadata.entries())
+            .filter(([key]) => keys.length === 0 || keys.includes(key));
+
+        return entries.length > 0 ? sanitizeBody(Object.fromEntries(entries)) : {};
+    }
+
+    /**
+     * Get a baggage entry
+     * @param {string} key
+     * @returns {string|undefined}
+     */
+    getBaggage(key) {
+        return this.baggage.get(key);
+    }
+
+    /**
+     * Set a baggage entry, propagated to downstream services via the baggage header
+     * @param {string} key - Baggage key (RFC 7230 token)
+     * @param {any} value - Baggage value, stored as string
+     * @returns {boolean} false when the key is invalid or the W3C size/entry limits would be exceeded
+     */
+    setBaggage(key, value) {
+        const stringValue = String(value);
+        if (!isValidKey(key) || !fitsLimits(this.baggage, key, stringValue)) {
+            return false;
+        }
+        this.baggage.set(key, stringValue);
+        return true;
+    }
+
+    /**
+     * Remove a baggage entry
+     * @param {string} key
+     */
+    removeBaggage(key) {
+        this.baggage.delete(key);
+    }
+
+    /**
+     * Get baggage entries as a plain object
+     * @param {string[]} [keys] - Only include these keys
+     * @returns {object}
+     */
+    getAllBaggage(keys) {
+        const entries = Array.from(this.baggage.entries())
+            .filter(([key]) => !keys || keys.includes(key));
+        return Object.fromEntries(entries);
+    }
 }
 
 module.exports = RequestContext;
\ No newline at end of file
@@ -0,0 +1,161 @@
+// src/context/otel.js
+const TraceContext = require('./trace-context');
+const { getConfigValue } = require('../config/constants');
+
+const TRACER_NAME = '@ambak/express-logger';
+
+// undefined until first lookup, null when @opentelemetry/api is not installed
+let otelApi;
+
+/**
+ * Load @opentelemetry/api, an optional peer dependency
+ * @returns {object|null}
+ */
+const getOtelApi = () => {
+    if (otelApi === undefined) {
+        try {
+            otelApi = require('@opentelemetry/api');
+        } catch (_e) {
+            otelApi = null;
+        }
+    }
+    return otelApi;
+};
+
+/**
+ * Whether OTEL_BRIDGE is on and @opentelemetry/api is available
+ * @returns {boolean}
+ */
+const isOtelBridgeEnabled = () => {
+    const enabled = getConfigValue('OTEL_BRIDGE');
+    return enabled && Boolean(getOtelApi());
+};
+
+/**
+ * Convert an OpenTelemetry span context to a TraceContext,
+ * wrapping the trace ID in the X-Ray format when LOG_TYPE is aws
+ * @param {object} spanContext - { traceId, spanId, traceFlags, traceState }
+ * @returns {TraceContext}
+ */
+const fromSpanContext = (spanContext) => {
+    const traceContext = new TraceContext();
+    const { traceId } = spanContext;
+
+    traceContext.traceId = getConfigValue('LOG_TYPE') === 'aws'
+        ? `1-${traceId.slice(0, 8)}-${traceId.slice(8)}`
+        : traceId;
+    traceContext.spanId = spanContext.spanId;
+    traceContext.setSampled((spanContext.traceFlags & 1) === 1);
+    if (spanContext.traceState) {
+        traceContext.parseTraceState(spanContext.traceState.serialize());
+    }
+    return traceContext;
+};
+
+/**
+ * Convert a TraceContext to an OpenTelemetry span context
+ * @param {TraceContext} traceContext
+ * @param {boolean} isRemote - Whether the span was propagated from another process
+ * @returns {object}
+ */
+const toSpanContext = (traceContext, isRemote = false) => {
+    const api = getOtelApi();
+    const traceState = traceContext.toTraceState();
+
+    return {
+        traceId: traceContext.toHexTraceId(),
+        spanId: traceContext.spanId,
+        traceFlags: traceContext.isSampled() ? api.TraceFlags.SAMPLED : api.TraceFlags.NONE,
+        isRemote,
+        ...(traceState && { traceState: api.createTraceState(traceState) })
+    };
+};
+
+/**
+ * Get the active OpenTelemetry span as a TraceContext
+ * @returns {TraceContext|null} null when the bridge is off or no valid span is active
+ */
+const getActiveTraceContext = () => {
+    if (!isOtelBridgeEnabled()) return null;
+
+    const api = getOtelApi();
+    const spanContext = api.trace.getSpanContext(api.context.active());
+    return spanContext && api.isSpanContextValid(spanContext)
+        ? fromSpanContext(spanContext)
+        : null;
+};
+
+/**
+ * Start an OpenTelemetry span under the active OTel span, or under
+ * the given trace context when no OTel span is active
+ * @param {string} name - Span name
+ * @param {TraceContext} parentTraceContext - Trace context of the current request
+ * @param {object} attributes - Span attributes
+ * @returns {object} { span, traceContext, otelContext } where traceContext carries the new span ids
+ */
+const startOtelSpan = (name, parentTraceContext, attributes = {}) => {
+    const api = getOtelApi();
+    let parentContext = api.context.active();
+
+    if (!api.trace.getSpan(parentContext) && parentTraceContext?.traceId) {
+        parentContext = api.trace.setSpanContext(parentContext, toSpanContext(parentTraceContext, true));
+    }
+    const parentSpanContext = api.trace.getSpanContext(parentContext);
+
+    let span = api.trace.getTracer(TRACER_NAME).startSpan(name, { attributes }, parentContext);
+    if (!span.isRecording()) {
+        // Without an SDK the no-op tracer returns the parent ids, so expose a span with ids of our own
+        const childTraceContext = parentTraceContext?.traceId
+            ? parentTraceContext.createChildSpan()
+            : TraceContext.generateNew();
+        span = api.trace.wrapSpanContext(toSpanContext(childTraceContext));
+    }
+
+    const traceContext = fromSpanContext(span.spanContext());
+    traceContext.parentSpanId = parentSpanContext?.spanId || '';
+
+    return {
+        span,
+        traceContext,
+        otelContext: api.trace.setSpan(parentContext, span)
+    };
+};
+
+/**
+ * End an OpenTelemetry span, recording the error when it failed
+ * @param {object} span - Span from startOtelSpan
+ * @param {Error} [error]
+ */
+const endOtelSpan = (span, error) => {
+    const api = getOtelApi();
+
+    if (error) {
+        span.recordException(error);
+        span.setStatus({
+            code: api.SpanStatusCode.ERROR,
+            message: error instanceof Error ? error.message : String(error)
+        });
+    } else {
+        span.setStatus({ code: api.SpanStatusCode.OK });
+    }
+    span.end();
+};
+
+/**
+ * Run a function with an OpenTelemetry context active
+ * @param {object} otelContext - Context from startOtelSpan
+ * @param {function} fn
+ * @returns {any} Result of fn
+ */
+const runInOtelContext = (otelContext, fn) => getOtelApi().context.with(otelContext, fn);
+
+module.exports = {
+    getOtelApi,
+    isOtelBridgeEnabled,
+    fromSpanContext,
+    toSpanContext,
+    getActiveTraceContext,
+    startOtelSpan,
+    endOtelSpan,
+    runInOtelContext
+};
@@ -0,0 +1,176 @@
+// src/context/propagators.js
+const TraceContext = require('./trace-context');
+const { getConfigValue, getB3IngressFormats, getB3EgressFormats } = require('../config/constants');
+
+/**
+ * A propagator reads and writes trace context on a headers object:
+ *   name    - unique name used in TRACE_PROPAGATORS_EXTRACT / TRACE_PROPAGATORS_INJECT
+ *   extract - (headers) => TraceContext|null, null when its headers are absent
+ *   inject  - (traceContext, headers) => void, writes its headers onto the object
+ */
+const propagators = new Map();
+
+// Maps B3_INGRESS_FORMATS / B3_EGRESS_FORMATS values to propagator names
+const B3_PROPAGATOR_NAMES = {
+    single: 'b3',
+    multi: 'b3multi'
+};
+
+/**
+ * Register a propagator, replacing any propagator with the same name
+ * @param {object} propagator - { name, extract, inject }
+ */
+const registerPropagator = (propagator) => {
+    if (!propagator || typeof propagator.name !== 'string' || !propagator.name) {
+        throw new TypeError('Propagator must have a name');
+    }
+    if (typeof propagator.extract !== 'function' || typeof propagator.inject !== 'function') {
+        throw new TypeError(`Propagator "${propagator.name}" must implement extract and inject`);
+    }
+    propagators.set(propagator.name, propagator);
+};
+
+/**
+ * Get a registered propagator by name
+ * @param {string} name
+ * @returns {object|undefined}
+ */
+const getPropagator = (name) => propagators.get(name);
+
+registerPropagator({
+    name: 'gcp',
+    extract: (headers) => (headers['x-cloud-trace-context']
+        ? TraceContext.parseCloudTrace(headers['x-cloud-trace-context'])
+        : null),
+    inject: (traceContext, headers) => {
+        headers['x-cloud-trace-context'] = traceContext.toCloudTrace();
+    }
+});
+
+registerPropagator({
+    name: 'w3c',
+    extract: (headers) => (headers.traceparent ? TraceContext.parseTraceParent(headers.traceparent) : null),
+    inject: (traceContext, headers) => {
+        headers.traceparent = traceContext.toTraceParent();
+
+        const tracestate = traceContext.toTraceState();
+        if (tracestate) {
+            headers.tracestate = tracestate;
+        }
+    }
+});
+
+// AWS gateways may forward the X-Ray header as x-cloud-trace-context, so both are read and written.
+// x-cloud-trace-context is only read when it holds an X-Ray value, else x-amzn-trace-id is used
+registerPropagator({
+    name: 'aws',
+    extract: (headers) => {
+        const cloudTraceHeader = headers['x-cloud-trace-context'];
+        const header = cloudTraceHeader && cloudTraceHeader.includes('Root=')
+            ? cloudTraceHeader
+            : headers['x-amzn-trace-id'];
+        return header ? TraceContext.parseAwsTraceId(header) : null;
+    },
+    inject: (traceContext, headers) => {
+        const awsTraceId = traceContext.toAwsTraceId();
+        headers['x-amzn-trace-id'] = awsTraceId;
+        headers['x-cloud-trace-context'] = awsTraceId;
+    }
+});
+
+registerPropagator({
+    name: 'b3',
+    extract: (headers) => (headers.b3 ? TraceContext.parseB3Single(headers.b3) : null),
+    inject: (traceContext, headers) => {
+        Object.assign(headers, traceContext.toB3Headers(['single']));
+    }
+});
+
+registerPropagator({
+    name: 'b3multi',
+    extract: (headers) => (headers['x-b3-traceid'] ? TraceContext.parseB3Multi(headers) : null),
+    inject: (traceContext, headers) => {
+        Object.assign(headers, traceContext.toB3Headers(['multi']));
+    }
+});
+
+const resolvePropagators = (names) => names
+    .map(getPropagator)
+    .filter(Boolean);
+
+/**
+ * Propagators used on incoming headers, in order of precedence.
+ * Defaults follow LOG_TYPE plus the B3 ingress formats.
+ * @returns {object[]}
+ */
+const getExtractPropagators = () => {
+    const configured = getConfigValue('TRACE_PROPAGATORS_EXTRACT');
+    if (configured.length > 0) {
+        return resolvePropagators(configured);
+    }
+
+    const logType = getConfigValue('LOG_TYPE');
+    const defaults = logType === 'aws' ? ['aws'] : ['gcp', 'w3c'];
+    return resolvePropagators([
+        ...defaults,
+        ...getB3IngressFormats().map(format => B3_PROPAGATOR_NAMES[format])
+    ]);
+};
+
+/**
+ * Propagators used on outgoing headers.
+ * Defaults follow LOG_TYPE plus the B3 egress formats.
+ * @returns {object[]}
+ */
+const getInjectPropagators = () => {
+    const configured = getConfigValue('TRACE_PROPAGATORS_INJECT');
+    if (configured.length > 0) {
+        return resolvePropagators(configured);
+    }
+
+    const logType = getConfigValue('LOG_TYPE');
+    const defaults = logType === 'aws' ? ['aws'] : ['w3c', 'gcp'];
+    return resolvePropagators([
+        ...defaults,
+        ...getB3EgressFormats().map(format => B3_PROPAGATOR_NAMES[format])
+    ]);
+};
+
+/**
+ * Extract trace context with the first propagator that finds its headers.
+ * tracestate is kept whichever propagator matched.
+ * @param {object} headers - Incoming headers (lowercase names)
+ * @returns {TraceContext|null}
+ */
+const extractTraceContext = (headers = {}) => {
+    for (const propagator of getExtractPropagators()) {
+        const traceContext = propagator.extract(headers);
+        if (traceContext) {
+            traceContext.parseTraceState(headers.tracestate);
+            return traceContext;
+        }
+    }
+    return null;
+};
+
+/**
+ * Write trace context with every inject propagator
+ * @param {TraceContext} traceContext - Trace context to propagate
+ * @param {object} headers - Headers object to write to
+ * @returns {object} The headers object
+ */
+const injectTraceContext = (traceContext, headers = {}) => {
+    if (!traceContext) return headers;
+
+    getInjectPropagators().forEach(propagator => propagator.inject(traceContext, headers));
+    return headers;
+};
+
+module.exports = {
+    registerPropagator,
+    getPropagator,
+    getExtractPropagators,
+    getInjectPropagators,
+    extractTraceContext,
+    injectTraceContext
+};
@@ -0,0 +1,102 @@
+// src/context/request-id.js
+const crypto = require('crypto');
+const { getConfigValue, getRequestIdHeaders } = require('../config/constants');
+
+const MAX_REQUEST_ID_LENGTH = 128;
+const VALID_REQUEST_ID = /^[a-zA-Z0-9._-]+$/;
+const CROCKFORD_BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const formatUuid = (hex) => [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20, 32)
+].join('-');
+
+/**
+ * UUIDv7: 48-bit millisecond timestamp followed by random bits, sortable by creation time
+ * @returns {string}
+ */
+const uuidv7 = () => {
+    const bytes = crypto.randomBytes(16);
+    bytes.writeUIntBE(Date.now(), 0, 6);
+    bytes[6] = (bytes[6] & 0x0f) | 0x70; // version 7
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+    return formatUuid(bytes.toString('hex'));
+};
+
+/**
+ * ULID: 10 Crockford base32 chars of timestamp followed by 16 of randomness
+ * @returns {string}
+ */
+const ulid = () => {
+    let time = Date.now();
+    let timePart = '';
+    for (let i = 0; i < 10; i++) {
+        timePart = CROCKFORD_BASE32[time % 32] + timePart;
+        time = Math.floor(time / 32);
+    }
+
+    const randomPart = Array.from(crypto.randomBytes(16), byte => CROCKFORD_BASE32[byte & 31]).join('');
+    return `${timePart}${randomPart}`;
+};
+
+const REQUEST_ID_GENERATORS = {
+    uuidv4: () => crypto.randomUUID(),
+    uuidv7,
+    ulid,
+    // 8 hex chars, easy to read back from a support ticket
+    short: () => crypto.randomBytes(4).toString('hex')
+};
+
+/**
+ * Generate a request id with REQUEST_ID_GENERATOR, either a built-in
+ * name (uuidv4, uuidv7, ulid, short) or a function returning a string
+ * @returns {string}
+ */
+const generateRequestId = () => {
+    const configured = getConfigValue('REQUEST_ID_GENERATOR');
+    const generator = typeof configured === 'function'
+        ? configured
+        : REQUEST_ID_GENERATORS[String(configured).trim().toLowerCase()] || REQUEST_ID_GENERATORS.uuidv4;
+
+    const requestId = generator();
+    return typeof requestId === 'string' && requestId ? requestId : crypto.randomUUID();
+};
+
+/**
+ * Check an incoming request id before trusting it in logs and headers
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isValidRequestId = (value) => typeof value === 'string'
+    && value.length > 0
+    && value.length <= MAX_REQUEST_ID_LENGTH
+    && VALID_REQUEST_ID.test(value);
+
+/**
+ * Take the request id from the first configured header holding a valid one
+ * (REQUEST_ID_HEADERS, default x-request-id), else generate a new one.
+ * Incoming ids are lowercased unless REQUEST_ID_PRESERVE_CASE is true.
+ * @param {object} headers - Incoming headers (lowercase names)
+ * @returns {string}
+ */
+const resolveRequestId = (headers = {}) => {
+    const preserveCase = getConfigValue('REQUEST_ID_PRESERVE_CASE');
+    const incoming = getRequestIdHeaders()
+        .map(header => headers[header])
+        .find(isValidRequestId);
+
+    if (!incoming) {
+        return generateRequestId();
+    }
+    return preserveCase ? incoming : incoming.toLowerCase();
+};
+
+module.exports = {
+    REQUEST_ID_GENERATORS,
+    generateRequestId,
+    isValidRequestId,
+    resolveRequestId
+};
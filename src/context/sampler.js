@@ -0,0 +1,87 @@
+// src/context/sampler.js
+const { getConfigValue, matchesPathPattern } = require('../config/constants');
+
+/**
+ * Map a trace ID to a stable number in [0, 1), so every service
+ * using the same ratio reaches the same decision for a trace
+ * @param {string} traceId - W3C, Cloud Trace or AWS X-Ray trace ID
+ * @returns {number}
+ */
+const getTraceIdRatio = (traceId) => {
+    const hex = String(traceId || '').replace(/[^0-9a-f]/gi, '');
+    if (!hex) return Math.random();
+    return parseInt(hex.slice(-8), 16) / 0x100000000;
+};
+
+const parseRatio = (value, fallback = 1) => {
+    const ratio = Number(value);
+    if (value === '' || value === null || value === undefined || Number.isNaN(ratio)) {
+        return fallback;
+    }
+    return Math.min(Math.max(ratio, 0), 1);
+};
+
+/**
+ * Resolve the per-route ratio from TRACE_SAMPLE_ROUTES,
+ * either "pattern=ratio,..." or an object of pattern -> ratio
+ * @param {string} path - Request path
+ * @returns {number|undefined} undefined when no route matches
+ */
+const getRouteRatio = (path) => {
+    const routes = getConfigValue('TRACE_SAMPLE_ROUTES');
+    if (!routes || !path) return undefined;
+
+    const entries = typeof routes === 'string'
+        ? routes.split(',').map(entry => {
+            const separator = entry.lastIndexOf('=');
+            return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+        })
+        : Object.entries(routes);
+
+    const match = entries.find(([pattern]) => pattern && matchesPathPattern(path, pattern));
+    return match ? parseRatio(match[1]) : undefined;
+};
+
+/**
+ * Make the head-based sampling decision for a trace and write it into its trace flags.
+ * TRACE_SAMPLER selects the sampler:
+ *   always_on / always_off    - sample everything / nothing
+ *   traceidratio              - sample TRACE_SAMPLE_RATIO of traces, deterministic by trace ID
+ *   parentbased_traceidratio  - honor the incoming sampled flag, traceidratio for new traces
+ * TRACE_SAMPLE_ROUTES overrides the ratio per route (the parent decision still wins when present).
+ * @param {TraceContext} traceContext - Trace to decide for
+ * @param {object} options
+ * @param {string} options.path - Request path, for per-route overrides
+ * @param {boolean} options.hasParent - Whether the trace was continued from incoming headers
+ * @returns {boolean|undefined} The decision, undefined when sampling is disabled
+ */
+const applySampling = (traceContext, { path, hasParent = false } = {}) => {
+    const sampler = getConfigValue('TRACE_SAMPLER');
+    if (!traceContext || !sampler) return undefined;
+
+    const routeRatio = getRouteRatio(path);
+    const isRatioSampled = (ratio) => getTraceIdRatio(traceContext.traceId) < ratio;
+
+    let sampled;
+    if (sampler === 'parentbased_traceidratio' && hasParent) {
+        sampled = traceContext.isSampled();
+    } else if (routeRatio !== undefined) {
+        sampled = isRatioSampled(routeRatio);
+    } else if (sampler === 'always_on') {
+        sampled = true;
+    } else if (sampler === 'always_off') {
+        sampled = false;
+    } else if (sampler === 'traceidratio' || sampler === 'parentbased_traceidratio') {
+        sampled = isRatioSampled(getConfigValue('TRACE_SAMPLE_RATIO'));
+    } else {
+        return undefined;
+    }
+
+    traceContext.setSampled(sampled);
+    return sampled;
+};
+
+module.exports = {
+    getTraceIdRatio,
+    applySampling
+};
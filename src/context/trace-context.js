@@ -1,15 +1,52 @@
 // src/context/trace-context.js
 const crypto = require('crypto');
 
+const MAX_SPAN_ID = BigInt('0xffffffffffffffff');
+const INVALID_SPAN_ID = '0000000000000000';
+
+/**
+ * Normalize the span id of an x-cloud-trace-context header to 16 hex chars.
+ * Cloud Trace sends a decimal span id, while this library writes hex ones.
+ * @param {string} value - Span id from the header
+ * @returns {string} Hex span id or '' when missing/invalid
+ */
+const parseCloudSpanId = (value) => {
+    if (!value) return '';
+
+    if (/^[0-9a-f]{16}$/i.test(value)) {
+        return value === INVALID_SPAN_ID ? '' : value.toLowerCase();
+    }
+
+    if (/^\d+$/.test(value)) {
+        const numeric = BigInt(value);
+        if (numeric === BigInt(0) || numeric > MAX_SPAN_ID) return '';
+        return numeric.toString(16).padStart(16, '0');
+    }
+
+    return '';
+};
+
+/**
+ * Map a B3 sampling state to W3C trace flags
+ * @param {string} value - X-B3-Sampled / b3 sampling state
+ * @returns {string|null} Trace flags or null when absent
+ */
+const parseB3Sampled = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const normalized = String(value).trim().toLowerCase();
+    return ['1', 'd', 'true'].includes(normalized) ? '01' : '00';
+};
+
 /**
  * TraceContext class for handling distributed tracing
- * Supports both W3C Trace Context and Google Cloud Trace formats
+ * Supports W3C Trace Context, Google Cloud Trace, AWS X-Ray and B3 formats
  */
 class TraceContext {
     constructor() {
         this.version = '00';
         this.traceId = '';
         this.spanId = '';
+        this.parentSpanId = '';
         this.traceFlags = '01';  // Sampling enabled by default
         this.traceState = new Map();
     }
@@ -68,6 +105,7 @@ class TraceContext {
 
             context.version = version;
             context.traceId = traceId;
+            context.parentSpanId = spanId === INVALID_SPAN_ID ? '' : spanId;
             context.spanId = crypto.randomBytes(8).toString('hex');
             context.traceFlags = flags;
 
@@ -92,7 +130,7 @@ class TraceContext {
         try {
             // Format: TRACE_ID/SPAN_ID;o=TRACE_TRUE
             const [traceSpan, options] = header.split(';o=');
-            const [traceId] = traceSpan.split('/');
+            const [traceId, spanId] = traceSpan.split('/');
     
             if (!traceId) {
                 return TraceContext.generateNew();
@@ -100,6 +138,7 @@ class TraceContext {
     
             // Pad trace ID if needed (GCP uses shorter trace IDs)
             context.traceId = traceId.padStart(32, '0');
+            context.parentSpanId = parseCloudSpanId(spanId);
             context.spanId = crypto.randomBytes(8).toString('hex');
             context.traceFlags = (options === '0' ? '00' : '01');
     
@@ -160,13 +199,12 @@ class TraceContext {
                 context.traceId = rootPart;
             }
 
-            // Extract span ID from Parent
+            // Keep the caller's segment from Parent and open our own span under it
             if (parentPart) {
                 // AWS span ID is 16 hex chars, convert to our format (8 bytes = 16 hex)
-                context.spanId = parentPart.replace(/[^0-9a-f]/gi, '').slice(0, 16).padStart(16, '0').toLowerCase();
-            } else {
-                context.spanId = crypto.randomBytes(8).toString('hex');
+                context.parentSpanId = parentPart.replace(/[^0-9a-f]/gi, '').slice(0, 16).padStart(16, '0').toLowerCase();
             }
+            context.spanId = crypto.randomBytes(8).toString('hex');
 
             context.traceFlags = (sampled === '0' ? '00' : '01');
 
@@ -176,6 +214,66 @@ class TraceContext {
         }
     }
 
+    /**
+     * Build a context from B3 trace and span ids
+     * @param {string} traceId - 16 or 32 hex chars
+     * @param {string} spanId - 16 hex chars
+     * @param {string|null} flags - Trace flags derived from the sampling state
+     * @returns {TraceContext|null} null when the ids are invalid
+     */
+    static fromB3(traceId, spanId, flags) {
+        if (!/^([0-9a-f]{16}|[0-9a-f]{32})$/i.test(traceId || '')
+            || !/^[0-9a-f]{16}$/i.test(spanId || '')) {
+            return null;
+        }
+
+        const context = new TraceContext();
+        context.traceId = traceId.toLowerCase().padStart(32, '0');
+        context.parentSpanId = spanId.toLowerCase();
+        context.spanId = crypto.randomBytes(8).toString('hex');
+        if (flags) {
+            context.traceFlags = flags;
+        }
+        return context;
+    }
+
+    /**
+     * Parse B3 single header
+     * @param {string} header - b3 header value ({traceId}-{spanId}[-{sampled}[-{parentSpanId}]] or {sampled})
+     * @returns {TraceContext}
+     */
+    static parseB3Single(header) {
+        if (!header) {
+            return TraceContext.generateNew();
+        }
+
+        const [traceId, spanId, sampled] = String(header).trim().split('-');
+
+        // Sampling-only header ("0", "1", "d") carries no trace, start one honoring the decision
+        if (spanId === undefined) {
+            const context = TraceContext.generateNew();
+            context.traceFlags = parseB3Sampled(traceId) || context.traceFlags;
+            return context;
+        }
+
+        return TraceContext.fromB3(traceId, spanId, parseB3Sampled(sampled))
+            || TraceContext.generateNew();
+    }
+
+    /**
+     * Parse B3 multi headers
+     * @param {object} headers - Request headers (lowercase names)
+     * @returns {TraceContext}
+     */
+    static parseB3Multi(headers = {}) {
+        const flags = headers['x-b3-flags'] === '1'
+            ? '01'
+            : parseB3Sampled(headers['x-b3-sampled']);
+
+        return TraceContext.fromB3(headers['x-b3-traceid'], headers['x-b3-spanid'], flags)
+            || TraceContext.generateNew();
+    }
+
     /**
      * Parse tracestate header
      * @param {string} header - tracestate header value
@@ -197,6 +295,24 @@ class TraceContext {
         }
     }
 
+    /**
+     * Whether the sampled bit of the trace flags is set
+     * @returns {boolean}
+     */
+    isSampled() {
+        return (parseInt(this.traceFlags, 16) & 1) === 1;
+    }
+
+    /**
+     * Set or clear the sampled bit, keeping the other trace flags
+     * @param {boolean} sampled
+     */
+    setSampled(sampled) {
+        const flags = parseInt(this.traceFlags, 16) || 0;
+        const updated = sampled ? flags | 1 : flags & ~1;
+        this.traceFlags = updated.toString(16).padStart(2, '0');
+    }
+
     /**
      * Convert to W3C traceparent format
      * @returns {string}
@@ -248,6 +364,55 @@ class TraceContext {
         return `Root=${awsTraceId};Parent=${spanIdHex};Sampled=${sampled}`;
     }
 
+    /**
+     * Get the trace ID as 32 hex chars, unwrapping AWS X-Ray trace IDs
+     * @returns {string}
+     */
+    toHexTraceId() {
+        const awsMatch = /^1-([0-9a-f]{8})-([0-9a-f]{24})$/i.exec(this.traceId);
+        if (awsMatch) {
+            return `${awsMatch[1]}${awsMatch[2]}`.toLowerCase();
+        }
+        return this.traceId.replace(/[^0-9a-f]/gi, '').slice(-32).padStart(32, '0').toLowerCase();
+    }
+
+    /**
+     * Convert to B3 single header format
+     * @returns {string}
+     */
+    toB3Single() {
+        const sampled = this.traceFlags === '01' ? '1' : '0';
+        const parts = [this.toHexTraceId(), this.spanId, sampled];
+        if (this.parentSpanId) {
+            parts.push(this.parentSpanId);
+        }
+        return parts.join('-');
+    }
+
+    /**
+     * Convert to B3 headers
+     * @param {string[]} formats - B3 formats to write: 'single' and/or 'multi'
+     * @returns {object} Headers keyed by lowercase name
+     */
+    toB3Headers(formats = ['single', 'multi']) {
+        const headers = {};
+
+        if (formats.includes('single')) {
+            headers.b3 = this.toB3Single();
+        }
+
+        if (formats.includes('multi')) {
+            headers['x-b3-traceid'] = this.toHexTraceId();
+            headers['x-b3-spanid'] = this.spanId;
+            headers['x-b3-sampled'] = this.traceFlags === '01' ? '1' : '0';
+            if (this.parentSpanId) {
+                headers['x-b3-parentspanid'] = this.parentSpanId;
+            }
+        }
+
+        return headers;
+    }
+
     /**
      * Create a child span context
      * @returns {TraceContext}
@@ -257,6 +422,7 @@ class TraceContext {
         childContext.version = this.version;
         childContext.traceId = this.traceId;
         childContext.spanId = crypto.randomBytes(8).toString('hex');
+        childContext.parentSpanId = this.spanId;
         childContext.traceFlags = this.traceFlags;
         childContext.traceState = new Map(this.traceState);
         return childContext;
@@ -0,0 +1,398 @@
+// src/index.d.ts
+import { EventEmitter } from 'events';
+import { ErrorRequestHandler, Request, RequestHandler } from 'express';
+
+export type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'fatal';
+export type LevelWithSilent = LogLevel | 'silent';
+
+/** Comma separated string or array, as accepted for list settings */
+type ListSetting<T extends string = string> = T[] | string;
+
+// ---------------------------------------------------------------------------
+// Configuration
+// ---------------------------------------------------------------------------
+
+export interface RotationOptions {
+    /** Rotate when the file would exceed this size, e.g. 100m */
+    maxSize?: string | number;
+    /** Rotate at each interval, aligned to UTC, e.g. 1d or 1h */
+    interval?: string | number;
+    /** Gzip rotated files, default true */
+    compress?: boolean;
+    /** Rotated files to keep, default all */
+    maxFiles?: number;
+    /** Delete rotated files older than this, e.g. 14d */
+    maxAge?: string | number;
+}
+
+export interface LogDestination {
+    type?: 'stdout' | 'stderr' | 'file' | 'otlp';
+    /** Lowest level written to this destination, default trace */
+    level?: LevelWithSilent;
+    /** Default json; rotating files only support json */
+    format?: 'json' | 'pretty' | 'text';
+    /** File path, required for file destinations */
+    path?: string;
+    /** Create the directory of the file, default true */
+    mkdir?: boolean;
+    /** Rotate the file, with the defaults when true */
+    rotate?: boolean | RotationOptions;
+}
+
+/**
+ * Options of configure(). Each key can also be set as an environment variable;
+ * options win. See src/config/schema.js for defaults.
+ */
+export interface LoggerConfig {
+    // Output
+    LOG_LEVEL?: LevelWithSilent;
+    /** 0 silences every log, 1 logs raw console output, 2 skips payloads in response logs */
+    LOG_REGISTER?: 0 | 1 | 2 | 3 | 4 | 5;
+    LOG_FORMAT?: 'json' | 'pretty';
+    LOG_TYPE?: 'gcp' | 'aws';
+    PROJECT_ID?: string;
+    SERVICE_NAME?: string;
+    LOGGER_NAME?: string;
+    LOG_EXPORTER?: 'stdout' | 'otlp';
+    OTLP_LOGS_ENDPOINT?: string;
+    /** "key=value,key=value" */
+    OTLP_HEADERS?: string;
+    /** Destinations, or their JSON */
+    LOG_DESTINATIONS?: LogDestination[] | string;
+
+    // Levels
+    /** "pattern=level,..." or pattern -> level, e.g. { 'payments:*': 'debug' } */
+    LOG_LEVELS?: string | Record<string, LevelWithSilent>;
+    LOG_LEVEL_REVERT_MS?: number;
+    /** true for SIGUSR2, or a signal name */
+    LOG_LEVEL_SIGNAL?: string | boolean;
+    LOG_LEVEL_SIGNAL_CYCLE?: ListSetting<LevelWithSilent>;
+    LOG_DEBUG_HEADER?: string;
+    LOG_DEBUG_SECRET?: string;
+
+    // Shutdown
+    /** 'none' disables the shutdown handlers */
+    LOG_SHUTDOWN_SIGNALS?: ListSetting;
+    LOG_SHUTDOWN_GRACE_MS?: number;
+
+    // Suppression
+    /** "level=count,..." or level -> count, '*' for the other levels; fatal is never suppressed */
+    LOG_SUPPRESSION_LIMITS?: string | Partial<Record<Exclude<LogLevel, 'fatal'> | '*', number>>;
+    LOG_SUPPRESSION_WINDOW_MS?: number;
+    /** "[type:]level=ratio,..." or [type:]level -> ratio, e.g. { info: 0.5, 'request:info': 0.1 } */
+    LOG_SAMPLE_RATES?: string | Record<string, number>;
+
+    // Content
+    SLOW_RESPONSE_THRESHOLD_MS?: number;
+    LOG_STRING_LIMIT?: number;
+    LOG_JSON_DEPTH?: number;
+    LOG_ARRAY_LENGTH?: number;
+    LOGGER_SENSITIVE_FIELDS?: ListSetting;
+    LOGGER_SENSITIVE_HEADERS?: ListSetting;
+    LOG_BAGGAGE_KEYS?: ListSetting;
+    LOG_METADATA_KEYS?: ListSetting;
+    LOG_IDENTITY_CLAIMS?: ListSetting;
+    CONTEXT_CARRIER_METADATA_KEYS?: ListSetting;
+
+    // Request ids
+    REQUEST_ID_HEADERS?: ListSetting;
+    /** 'none' disables the echo */
+    REQUEST_ID_RESPONSE_HEADER?: string;
+    REQUEST_ID_GENERATOR?: 'uuidv4' | 'uuidv7' | 'ulid' | 'short' | (() => string);
+    REQUEST_ID_PRESERVE_CASE?: boolean;
+
+    // Tracing
+    TRACE_PROPAGATORS_EXTRACT?: ListSetting;
+    TRACE_PROPAGATORS_INJECT?: ListSetting;
+    B3_INGRESS_FORMATS?: ListSetting<'single' | 'multi' | 'none'>;
+    B3_EGRESS_FORMATS?: ListSetting<'single' | 'multi' | 'none'>;
+    TRACE_SAMPLER?: '' | 'always_on' | 'always_off' | 'traceidratio' | 'parentbased_traceidratio';
+    TRACE_SAMPLE_RATIO?: number;
+    /** "pattern=ratio,..." or pattern -> ratio */
+    TRACE_SAMPLE_ROUTES?: string | Record<string, number>;
+    OTEL_BRIDGE?: boolean;
+}
+
+export type ConfigSource = 'configure' | 'env' | 'default';
+
+/** Resolved value of every key and where it came from, secrets masked */
+export type EffectiveConfig = {
+    [K in keyof LoggerConfig]-?: { value: unknown; source: ConfigSource };
+};
+
+// ---------------------------------------------------------------------------
+// Logger
+// ---------------------------------------------------------------------------
+
+export interface LogFn {
+    /** Log a message with extra fields */
+    (message: string, data?: Record<string, unknown>): void;
+    /** Log a prepared entry, e.g. from formatJsonLog */
+    (data: Record<string, unknown>): void;
+}
+
+export interface SpanOptions {
+    /** Logger used for the span log, defaults to the base logger */
+    logger?: Logger;
+    /** Extra fields recorded on the span */
+    attributes?: Record<string, unknown>;
+}
+
+/** Logger adding the request context (requestId, traceId, spanId, metadata) to every entry */
+export interface Logger {
+    trace: LogFn;
+    debug: LogFn;
+    info: LogFn;
+    warn: LogFn;
+    error: LogFn;
+    fatal: LogFn;
+    level: LevelWithSilent | string;
+    readonly levelVal: number;
+    child(bindings: Record<string, unknown>, options?: { level?: LevelWithSilent }): Logger;
+    bindings(): Record<string, unknown>;
+    isLevelEnabled(level: LevelWithSilent | string): boolean;
+    /** Time fn inside a child span and log it through this logger */
+    span<T>(name: string, fn: (context: RequestContext) => T, options?: Omit<SpanOptions, 'logger'>): T;
+    /** Resolves once the transport has received every log written so far */
+    flush(callback?: (error?: Error) => void): Promise<void>;
+}
+
+export interface SetLevelOptions {
+    /** Restore the previous level after this delay, defaults to LOG_LEVEL_REVERT_MS */
+    revertAfterMs?: number;
+    /** Recorded in the level change log */
+    reason?: string;
+}
+
+export interface ShutdownOptions {
+    /** Longest wait for logs, defaults to LOG_SHUTDOWN_GRACE_MS */
+    gracePeriodMs?: number;
+}
+
+// ---------------------------------------------------------------------------
+// Trace and request context
+// ---------------------------------------------------------------------------
+
+export declare class TraceContext {
+    version: string;
+    traceId: string;
+    spanId: string;
+    parentSpanId: string;
+    traceFlags: string;
+    traceState: Map<string, string>;
+
+    static generateNew(awsFormat?: boolean): TraceContext;
+    static parseTraceParent(header: string): TraceContext;
+    static parseCloudTrace(header: string): TraceContext;
+    static parseAwsTraceId(header: string): TraceContext;
+    static fromB3(traceId: string, spanId: string, flags?: string | null): TraceContext | null;
+    static parseB3Single(header: string): TraceContext;
+    static parseB3Multi(headers?: Record<string, string | undefined>): TraceContext;
+
+    parseTraceState(header: string | undefined): void;
+    isSampled(): boolean;
+    setSampled(sampled: boolean): void;
+    toTraceParent(): string;
+    toTraceState(): string;
+    toCloudTrace(): string;
+    toAwsTraceId(): string;
+    toHexTraceId(): string;
+    toB3Single(): string;
+    toB3Headers(formats?: Array<'single' | 'multi'>): Record<string, string>;
+    createChildSpan(): TraceContext;
+}
+
+/** Plain object carrying a context through queue messages, see RequestContext#toCarrier */
+export interface ContextCarrier {
+    requestId?: string;
+    metadata?: Record<string, unknown>;
+    [header: string]: unknown;
+}
+
+export declare class RequestContext {
+    requestId: string;
+    traceContext: TraceContext | null;
+    startTime: [number, number];
+    metadata: Map<string, unknown>;
+    baggage: Map<string, string>;
+    /** Who made the request (JWT claims or getIdentity), null until resolved */
+    identity: Record<string, unknown> | null;
+    /** Level granted by a debug token */
+    logLevel: LogLevel | undefined;
+    /** Head-based sampling decision, undefined when sampling is disabled */
+    sampled: boolean | undefined;
+
+    readonly traceId: string;
+    readonly spanId: string;
+    readonly parentSpanId: string;
+
+    /** Active context, or an empty one outside of a request */
+    static get(): RequestContext;
+    /** Active context, undefined outside of a request */
+    static current(): RequestContext | undefined;
+    static run<T, A extends unknown[]>(context: RequestContext, fn: (...args: A) => T, ...args: A): T;
+    static bind<F extends (...args: any[]) => any>(fn: F, context?: RequestContext): F;
+    static bindEmitter<E extends EventEmitter>(emitter: E, context?: RequestContext): E;
+    static create(req: Request): RequestContext;
+    static fromCarrier(carrier?: ContextCarrier | null): RequestContext;
+    static runWithCarrier<T>(carrier: ContextCarrier | null | undefined, fn: (context: RequestContext) => T): T;
+    static startSpan<T>(name: string, fn: (context: RequestContext) => T, options?: SpanOptions): T;
+
+    getElapsedMs(): string;
+    addTraceHeaders<H extends Record<string, unknown>>(headers?: H): H & Record<string, string>;
+    toCarrier(options?: { metadataKeys?: string[] }): ContextCarrier;
+    createChildContext(): RequestContext;
+    setMetadata(key: string, value: unknown): void;
+    getMetadata(key: string): unknown;
+    getLogMetadata(): Record<string, unknown>;
+    getBaggage(key: string): string | undefined;
+    /** false when the key is invalid or the W3C limits would be exceeded */
+    setBaggage(key: string, value: unknown): boolean;
+    removeBaggage(key: string): void;
+    getAllBaggage(keys?: string[]): Record<string, string>;
+}
+
+export interface Propagator {
+    name: string;
+    /** Headers have lowercase names; return null when the format is absent */
+    extract(headers: Record<string, string | string[] | undefined>): TraceContext | null;
+    inject(traceContext: TraceContext, headers: Record<string, unknown>): void;
+}
+
+// ---------------------------------------------------------------------------
+// Middleware
+// ---------------------------------------------------------------------------
+
+export interface RequestLoggerOptions {
+    /** Defaults to the base logger */
+    logger?: Logger;
+    /** Paths not logged, '*' matches one segment */
+    excludePaths?: string[];
+    /** Default true */
+    logResponseBody?: boolean;
+    omitRequestPayloadInResponse?: boolean;
+    /** target_service of the request log, defaults to the first path segment */
+    getTargetService?: (req: Request) => string | undefined;
+    /** Defaults to the LOG_IDENTITY_CLAIMS of the Bearer JWT */
+    getIdentity?: (req: Request) => Record<string, unknown> | null | undefined;
+    /** Extra fields added to the request and response logs */
+    baseLogData?: Record<string, unknown>;
+}
+
+export interface ErrorLoggerOptions {
+    /** Defaults to the base logger */
+    logger?: Logger;
+    /** Default true */
+    logStackTrace?: boolean;
+    /** Log the request body, default false */
+    includeBody?: boolean;
+    /** Extra fields merged into the error log */
+    getErrorContext?: (err: any, req: Request) => Record<string, unknown> | undefined;
+    getIdentity?: (req: Request) => Record<string, unknown> | null | undefined;
+    baseLogData?: Record<string, unknown>;
+}
+
+export interface JobOptions {
+    /** Defaults to the base logger */
+    logger?: Logger;
+    /** Carrier of the enqueuing request, to continue its trace */
+    carrier?: ContextCarrier | null;
+    /** Extra fields added to job_start/job_end */
+    baseLogData?: Record<string, unknown>;
+}
+
+export interface DebugTokenOptions {
+    level?: 'debug' | 'trace';
+    /** Default 15 minutes */
+    ttlSeconds?: number;
+    /** Defaults to LOG_DEBUG_SECRET */
+    secret?: string;
+}
+
+// ---------------------------------------------------------------------------
+// Instances
+// ---------------------------------------------------------------------------
+
+/** Returned by configure(): a logger and helpers bound to its own configuration */
+export interface LoggerInstance {
+    logger: Logger;
+    requestLoggerMiddleware: RequestHandler;
+    errorLoggerMiddleware: ErrorRequestHandler;
+    RequestContext: typeof RequestContext;
+    enableConsoleOverride(): void;
+    disableConsoleOverride(): void;
+    enableHttpInstrumentation(): void;
+    disableHttpInstrumentation(): void;
+    withJobContext<T>(name: string, fn: (context: RequestContext) => T | Promise<T>, options?: JobOptions): Promise<T>;
+    getLogger(namespace: string): Logger;
+    /** Returns the new level; a no-op in raw mode (LOG_REGISTER=1) */
+    setLevel(level: LevelWithSilent, options?: SetLevelOptions): LevelWithSilent | undefined;
+    getLevel(): LevelWithSilent | undefined;
+    shutdown(options?: ShutdownOptions): Promise<void>;
+    getEffectiveConfig(): EffectiveConfig;
+    createDebugToken(options?: DebugTokenOptions): string;
+}
+
+/**
+ * Create a logger instance with its own configuration; the top-level exports use the latest one
+ * @throws {Error} When a configuration value is invalid
+ */
+export declare function configure(options?: LoggerConfig): LoggerInstance;
+
+/** Default logger: that of the latest configure() instance, else built from the environment on first use */
+export declare const logger: Logger;
+
+export declare function getLogger(namespace: string, parent?: Logger): Logger;
+export declare function createRequestLogger(options?: RequestLoggerOptions): RequestHandler;
+export declare function createErrorLogger(options?: ErrorLoggerOptions): ErrorRequestHandler;
+export declare const requestLoggerMiddleware: RequestHandler;
+export declare const errorLoggerMiddleware: ErrorRequestHandler;
+export declare function withJobContext<T>(
+    name: string,
+    fn: (context: RequestContext) => T | Promise<T>,
+    options?: JobOptions
+): Promise<T>;
+export declare function registerPropagator(propagator: Propagator): void;
+
+/** Cloud Logging severity of each level */
+export declare const SEVERITYLEVEL: Readonly<Record<LogLevel, 'DEBUG' | 'INFO' | 'WARNING' | 'ERROR' | 'CRITICAL'>>;
+
+/** Limits applied by the sanitizers, read from LOG_STRING_LIMIT, LOG_JSON_DEPTH and LOG_ARRAY_LENGTH */
+export declare const CONTENT_LIMITS: {
+    readonly STRING_RESPONSE: number;
+    readonly JSON_DEPTH: number;
+    readonly ARRAY_LENGTH: number;
+};
+
+/** Redact sensitive fields, limited to CONTENT_LIMITS; JSON strings are parsed first */
+export declare function sanitizeBody(body: unknown, sensitiveFields?: Set<string>, depth?: number): unknown;
+/** Redact sensitive headers */
+export declare function sanitizeHeaders(
+    headers?: Record<string, unknown>,
+    sensitiveHeaders?: string[]
+): Record<string, unknown>;
+
+export declare function enableConsoleOverride(logger?: Logger): void;
+export declare function disableConsoleOverride(): void;
+export declare function enableHttpInstrumentation(logger?: Logger): void;
+export declare function disableHttpInstrumentation(): void;
+export declare function createDebugToken(options?: DebugTokenOptions): string;
+export declare function getDebugTokenStats(): { accepted: number; rejected: number };
+export declare function setLevel(level: LevelWithSilent, options?: SetLevelOptions): LevelWithSilent;
+export declare function getLevel(): LevelWithSilent;
+/** Stop cycling levels on the signal, for one logger or every logger */
+export declare function disableLevelSignal(logger?: Logger): void;
+/** Ask rotating file destinations to reopen their files, as on SIGHUP */
+export declare function reopenLogFiles(): void;
+export declare function shutdown(options?: ShutdownOptions): Promise<void>;
+export declare function disableShutdownSignals(): void;
+export declare function getEffectiveConfig(): EffectiveConfig;
+
+declare global {
+    namespace Express {
+        interface Request {
+            /** Request logger, added by the request logger middleware */
+            log: Logger;
+        }
+    }
+}
@@ -1,12 +1,41 @@
 // src/index.js
-const { logger, createLogger } = require('./logger');
-const { requestLoggerMiddleware, errorLoggerMiddleware } = require('./middleware');
-const { createRequestLogger } = require('./middleware/request-logger');
-const { createErrorLogger } = require('./middleware/error-logger');
+const {
+  logger,
+  createLogger,
+  getLogger,
+  getLogLevel,
+  setLogLevel,
+  enableLevelSignal,
+  disableLevelSignal,
+  reopenLogFiles,
+  shutdownLogger,
+  registerProcessHandlers,
+  setDefaultLogger,
+  disableShutdownSignals
+} = require('./logger');
+const {
+  requestLoggerMiddleware,
+  errorLoggerMiddleware,
+  createRequestLogger,
+  createErrorLogger,
+  withJobContext
+} = require('./middleware');
 const RequestContext = require('./context');
-const { SEVERITYLEVEL, CONTENT_LIMITS, setConfigOverrides, getConfigValue } = require('./config/constants');
+const TraceContext = require('./context/trace-context');
+const { registerPropagator } = require('./context/propagators');
+const {
+  SEVERITY_LEVEL: SEVERITYLEVEL,
+  CONTENT_LIMITS,
+  createConfig,
+  runWithConfig,
+  setGlobalConfig,
+  getConfigValue,
+  getEffectiveConfig
+} = require('./config/constants');
 const { sanitizeHeaders, sanitizeBody } = require('./utils/sanitizers');
 const { enableConsoleOverride, disableConsoleOverride } = require('./utils/console-override');
+const { enableHttpInstrumentation, disableHttpInstrumentation } = require('./utils/http-instrumentation');
+const { createDebugToken, getDebugTokenStats } = require('./utils/debug-token');
 
 const toRawMessage = (payload) => {
   if (typeof payload === 'string') return payload;
@@ -26,15 +55,31 @@ const createRawLogger = () => {
     error: (...args) => console.error(...args.map(toRawMessage)),
     fatal: (...args) => console.error(...args.map(toRawMessage)),
     child: () => rawLogger,
+    span: (name, fn) => fn(RequestContext.get()),
+    flush: async () => {},
   };
   return rawLogger;
 };
 
+/**
+ * Create a logger instance with its own configuration. Options take precedence over environment
+ * variables and only apply to this instance, so several instances can live in one process.
+ * The top-level exports use the most recent instance.
+ * @param {object} options - Configuration keys, see README
+ * @returns {object} Logger, middleware and helpers bound to this instance
+ * @throws {Error} When a configuration value is invalid
+ */
 const configure = (options = {}) => {
-  setConfigOverrides(options);
-  const logRegister = Number(getConfigValue('LOG_REGISTER', '5'));
-  const isRawMode = !Number.isNaN(logRegister) && logRegister === 1;
-  const isRegisterTwoMode = !Number.isNaN(logRegister) && logRegister === 2;
+  const config = createConfig(options);
+  const instance = runWithConfig(config, () => configureInstance(config));
+  setGlobalConfig(config);
+  return instance;
+};
+
+const configureInstance = (config) => {
+  const logRegister = getConfigValue('LOG_REGISTER');
+  const isRawMode = logRegister === 1;
+  const isRegisterTwoMode = logRegister === 2;
 
   if (isRawMode) {
     const rawLogger = createRawLogger();
@@ -45,10 +90,30 @@ const configure = (options = {}) => {
       RequestContext,
       enableConsoleOverride: () => {},
       disableConsoleOverride,
+      enableHttpInstrumentation: () => {},
+      disableHttpInstrumentation,
+      withJobContext: async (name, fn) => fn(RequestContext.get()),
+      getLogger: () => rawLogger,
+      setLevel: () => {},
+      getLevel: () => undefined,
+      shutdown: async () => {},
+      getEffectiveConfig: () => runWithConfig(config, getEffectiveConfig),
+      createDebugToken: (tokenOptions) => runWithConfig(config, () => createDebugToken(tokenOptions)),
     };
   }
 
-  const configuredLogger = createLogger();
+  const configuredLogger = createLogger({}, config);
+  // LOG_LEVEL_SIGNAL=true (SIGUSR2) or a signal name cycles the level on that signal
+  const levelSignal = getConfigValue('LOG_LEVEL_SIGNAL');
+  if (levelSignal) {
+    enableLevelSignal(configuredLogger, {
+      signal: String(levelSignal) === 'true' ? 'SIGUSR2' : String(levelSignal)
+    });
+  }
+  // Shutdown signals and uncaught errors are reported through every configured logger,
+  // the signal settings of the latest instance apply
+  registerProcessHandlers(configuredLogger, { applySignalSettings: true });
+  setDefaultLogger(configuredLogger);
   const configuredRequestLoggerMiddleware = createRequestLogger({
     logger: configuredLogger,
     omitRequestPayloadInResponse: isRegisterTwoMode,
@@ -62,20 +127,49 @@ const configure = (options = {}) => {
     errorLoggerMiddleware: configuredErrorLoggerMiddleware,
     RequestContext,
     enableConsoleOverride: () => enableConsoleOverride(configuredLogger),
-    disableConsoleOverride
+    disableConsoleOverride,
+    enableHttpInstrumentation: () => enableHttpInstrumentation(configuredLogger),
+    disableHttpInstrumentation,
+    withJobContext: (name, fn, jobOptions = {}) => withJobContext(name, fn, {
+      logger: configuredLogger,
+      ...jobOptions
+    }),
+    getLogger: (namespace) => getLogger(namespace, configuredLogger),
+    setLevel: (level, levelOptions) => setLogLevel(configuredLogger, level, levelOptions),
+    getLevel: () => getLogLevel(configuredLogger),
+    shutdown: (shutdownOptions) => runWithConfig(config, () => shutdownLogger(configuredLogger, shutdownOptions)),
+    getEffectiveConfig: () => runWithConfig(config, getEffectiveConfig),
+    createDebugToken: (tokenOptions) => runWithConfig(config, () => createDebugToken(tokenOptions))
   };
 };
 
 module.exports = {
   configure,
   logger,
+  getLogger,
   requestLoggerMiddleware,
   errorLoggerMiddleware,
+  createRequestLogger,
+  createErrorLogger,
+  withJobContext,
   RequestContext,
+  TraceContext,
+  registerPropagator,
   SEVERITYLEVEL,
   CONTENT_LIMITS,
   sanitizeHeaders,
   sanitizeBody,
   enableConsoleOverride,
-  disableConsoleOverride
+  disableConsoleOverride,
+  enableHttpInstrumentation,
+  disableHttpInstrumentation,
+  createDebugToken,
+  getDebugTokenStats,
+  setLevel: (level, options) => setLogLevel(logger, level, options),
+  getLevel: () => getLogLevel(logger),
+  disableLevelSignal,
+  reopenLogFiles,
+  shutdown: (options) => shutdownLogger(logger, options),
+  disableShutdownSignals,
+  getEffectiveConfig
 };
\ No newline at end of file
@@ -1,48 +1,168 @@
 //src/logger/base-logger.js
 const pino = require('pino');
 const RequestContext = require('../context');
-const { LOG_LEVELS, LOG_LEVEL, SERVICE_NAME, getConfigValue, resolveLogLevel, resolveLogRegister } = require('../config/constants');
-const transport = require('./transport');
+const { getActiveTraceContext } = require('../context/otel');
+const {
+    LOG_LEVELS,
+    SERVICE_NAME,
+    getConfigValue,
+    validateConfig,
+    runWithConfig,
+    getBaggageLogKeys,
+    resolveLogLevel,
+    resolveLogRegister
+} = require('../config/constants');
+const getTransport = require('./transport');
 const { formatters } = require('../utils/formatters');
 const { serializers } = require('../utils/serializers');
+const {
+    createLoggerRef,
+    trackLogger,
+    flushLogger,
+    exitAfterShutdown,
+    addSignalLogger,
+    enableShutdownSignals
+} = require('./shutdown');
+const { createSuppressor } = require('./suppression');
+const { sampleLogEntry } = require('./sampling');
 
 /**
  * Create a contextual logger that automatically includes request context
  */
 const LOG_METHODS = new Set(['trace', 'debug', 'info', 'warn', 'error', 'fatal']);
 
-const createContextualLogger = (baseLogger) => {
+// Children of a logger at a lower level, reused across requests with the same debug level
+const contextLevelLoggers = new WeakMap();
+
+/**
+ * Get a logger honoring the level granted to the current request (see debug tokens).
+ * Only lowers the level: silent loggers and loggers already at that level are returned as is.
+ */
+const getContextLevelLogger = (target, level) => {
+    if (!level || typeof target.child !== 'function'
+        || !Number.isFinite(target.levelVal) || !(LOG_LEVELS[level] < target.levelVal)) {
+        return target;
+    }
+
+    let byLevel = contextLevelLoggers.get(target);
+    if (!byLevel) {
+        byLevel = new Map();
+        contextLevelLoggers.set(target, byLevel);
+    }
+    if (!byLevel.has(level)) {
+        byLevel.set(level, target.child({}, { level }));
+    }
+    return byLevel.get(level);
+};
+
+// Exposes the logger family (root plus children, and its configure() instance config) to level-control.js
+const LOGGER_FAMILY = Symbol('logger.family');
+
+/**
+ * Run fn with the configuration of a logger, so code logging through it or on its behalf
+ * (middleware, jobs) reads that configure() instance's config
+ * @param {object} loggerInstance - Logger from createLogger/configure
+ * @param {function} fn
+ * @returns {any} Result of fn
+ */
+const runWithLoggerConfig = (loggerInstance, fn) => runWithConfig(loggerInstance?.[LOGGER_FAMILY]?.config, fn);
+
+// Drops collected children from their family
+const childCleanup = typeof FinalizationRegistry === 'function'
+    ? new FinalizationRegistry(({ family, ref }) => family.children.delete(ref))
+    : null;
+
+/**
+ * Track a child so runtime level changes reach it. Children created with
+ * an explicit level (e.g. debug token loggers) keep that level.
+ */
+const trackChild = (family, childLogger, options) => {
+    if (options?.level || typeof WeakRef !== 'function') return;
+
+    const ref = new WeakRef(childLogger);
+    family.children.add(ref);
+    childCleanup?.register(childLogger, { family, ref });
+};
+
+const createContextualLogger = (baseLogger, family = { root: baseLogger, children: new Set(), config: null }) => {
     return new Proxy(baseLogger, {
-        get: (target, property) => {
+        get: (target, property, receiver) => {
             // Only intercept the 6 log-level methods
             if (LOG_METHODS.has(property)) {
-                return (...args) => {
+                // Formatters and serializers run inside the call, so they read the logger's config
+                return (...args) => runWithConfig(family.config, () => {
                     const context = RequestContext.get();
+                    // An active OpenTelemetry span wins over the request span when the bridge is on
+                    const otelTraceContext = getActiveTraceContext();
                     const logData = typeof args[0] === 'string'
                         ? { message: args[0], ...(args[1] || {}) }
                         : { ...(args[0] || {}) };
 
+                    const traceId = otelTraceContext ? otelTraceContext.traceId : context?.traceId;
+                    const levelLogger = getContextLevelLogger(target, context?.logLevel);
+                    const levelEnabled = levelLogger.isLevelEnabled?.(property);
+
+                    // LOG_SAMPLE_RATES keeps a share of the traces, requests with a debug token are kept whole
+                    const sampleRate = levelEnabled && !context?.logLevel
+                        ? sampleLogEntry(property, logData.type, traceId)
+                        : 1;
+                    if (sampleRate === 0) return undefined;
+
+                    // Repeats beyond LOG_SUPPRESSION_LIMITS are dropped and summarized later
+                    if (levelEnabled && family.suppressor?.shouldSuppress(property, logData, context?.requestId)) {
+                        return undefined;
+                    }
+
+                    const baggageKeys = getBaggageLogKeys();
+                    const baggage = baggageKeys.length > 0 && context?.baggage?.size > 0
+                        ? context.getAllBaggage(baggageKeys)
+                        : {};
+
+                    // Explicit log fields win over context metadata
                     const enrichedData = {
+                        ...context?.getLogMetadata(),
+                        ...(context?.identity && { identity: context.identity }),
                         ...logData,
                         requestId: context?.requestId,
-                        traceId: context?.traceId,
-                        spanId: context?.spanId,
+                        traceId,
+                        spanId: otelTraceContext ? otelTraceContext.spanId : context?.spanId,
+                        ...(Object.keys(baggage).length > 0 && { baggage }),
+                        // Dashboards divide counts by the rate to estimate the full volume
+                        ...(sampleRate < 1 && { sampleRate }),
                         service: SERVICE_NAME(),
-                        LOG_TYPE: logData.LOG_TYPE || getConfigValue('LOG_TYPE', 'gcp')
+                        LOG_TYPE: logData.LOG_TYPE || getConfigValue('LOG_TYPE')
                     };
 
-                    return target[property](enrichedData);
-                };
+                    return levelLogger[property](enrichedData);
+                });
+            }
+
+            // span(name, fn) times fn inside a child span and logs it through this logger
+            if (property === 'span') {
+                return (name, fn, options = {}) => runWithConfig(family.config, () => RequestContext.startSpan(name, fn, {
+                    ...options,
+                    logger: receiver
+                }));
             }
 
             // Wrap child() so the returned child logger is also contextual
             if (property === 'child') {
                 return (bindings, ...rest) => {
                     const childLogger = target.child(bindings, ...rest);
-                    return createContextualLogger(childLogger);
+                    trackChild(family, childLogger, rest[0]);
+                    return createContextualLogger(childLogger, family);
                 };
             }
 
+            // flush() also returns a promise, resolved once the transport has received every log
+            if (property === 'flush') {
+                return (callback) => flushLogger(target, callback);
+            }
+
+            if (property === LOGGER_FAMILY) {
+                return family;
+            }
+
             // Everything else passes through untouched
             return target[property];
         }
@@ -55,14 +175,14 @@ const createContextualLogger = (baseLogger) => {
 const createLoggerOptions = (customOptions = {}) => {
     // Check LOG_TYPE - for AWS, don't use Pino's timestamp (we add our own 'timestamp' field)
     const { getConfigValue } = require('../config/constants');
-    const logType = getConfigValue('LOG_TYPE', 'gcp');
+    const logType = getConfigValue('LOG_TYPE');
     const timestamp = logType === 'aws' ? false : pino.stdTimeFunctions.isoTime;
-    const configuredLogLevel = resolveLogLevel(getConfigValue('LOG_LEVEL', LOG_LEVEL || 'info'));
-    const effectiveLogLevel = resolveLogRegister(getConfigValue('LOG_REGISTER', '5'), configuredLogLevel);
+    const configuredLogLevel = resolveLogLevel(getConfigValue('LOG_LEVEL'));
+    const effectiveLogLevel = resolveLogRegister(getConfigValue('LOG_REGISTER'), configuredLogLevel);
     
     return {
         level: effectiveLogLevel,
-        transport,
+        transport: getTransport(),
         messageKey: 'message',
         timestamp,
         formatters,
@@ -73,41 +193,108 @@ const createLoggerOptions = (customOptions = {}) => {
 
 /**
  * Create a new logger instance
+ * @param {object} options - pino options
+ * @param {object} config - Config of a configure() instance (see createConfig), defaults to the global configuration
+ * @returns {object}
  */
-const createLogger = (options = {}) => {
+const createLogger = (options = {}, config = null) => runWithConfig(config, () => {
     const loggerOptions = createLoggerOptions(options);
-    const baseLogger = pino(loggerOptions);
-    return createContextualLogger(baseLogger);
-};
+    // pino refuses transport.targets with custom level formatters, so multi-target transports are passed as the stream
+    const baseLogger = loggerOptions.transport?.targets
+        ? pino({ ...loggerOptions, transport: undefined }, pino.transport(loggerOptions.transport))
+        : pino(loggerOptions);
+    trackLogger(baseLogger);
+
+    const family = { root: baseLogger, children: new Set(), config };
+    const contextualLogger = createContextualLogger(baseLogger, family);
+    // Shared by the children, so repeats are counted across requests
+    family.suppressor = createSuppressor((level, entry) => contextualLogger[level](entry), config);
+    return contextualLogger;
+});
+
+// Loggers reporting uncaught errors, one per configure() instance plus the default logger
+const processLoggers = new Set();
+let processHandlersInstalled = false;
+
+const forEachProcessLogger = (fn) => processLoggers.forEach(ref => {
+    const loggerInstance = ref.deref();
+    if (loggerInstance) {
+        fn(loggerInstance);
+    } else {
+        processLoggers.delete(ref);
+    }
+});
 
-const HANDLER_REGISTERED = Symbol.for('logger.processHandlersRegistered');
+/**
+ * Report uncaught exceptions, unhandled rejections and shutdown signals through a logger.
+ * The process listeners are installed once and report through every registered logger.
+ * The shutdown signals and grace period follow the config of the first logger, or of the
+ * latest one registered with applySignalSettings (a configure() instance).
+ * @param {object} loggerInstance - Logger from createLogger/configure
+ * @param {object} options
+ * @param {boolean} options.applySignalSettings - Install, replace or remove the signal handlers
+ *   per this logger's LOG_SHUTDOWN_SIGNALS and LOG_SHUTDOWN_GRACE_MS
+ */
+const registerProcessHandlers = (loggerInstance, { applySignalSettings = false } = {}) => {
+    processLoggers.add(createLoggerRef(loggerInstance));
+
+    runWithLoggerConfig(loggerInstance, () => (applySignalSettings || !processHandlersInstalled
+        ? enableShutdownSignals(loggerInstance)
+        : addSignalLogger(loggerInstance)));
 
-const registerProcessHandlers = (loggerInstance) => {
-    if (global[HANDLER_REGISTERED]) return;
-    global[HANDLER_REGISTERED] = true;
+    if (processHandlersInstalled) return;
+    processHandlersInstalled = true;
 
     process.on('uncaughtException', (err) => {
-        loggerInstance.fatal({
+        forEachProcessLogger(loggerInstance => loggerInstance.fatal({
             msg: 'Uncaught exception',
             error: err
-        });
-        // Give pino time to flush, then exit
-        setTimeout(() => process.exit(1), 1000);
+        }));
+        // Exit once the logs are written, or after the grace period
+        exitAfterShutdown(1);
     });
 
     process.on('unhandledRejection', (err) => {
-        loggerInstance.error({
+        forEachProcessLogger(loggerInstance => loggerInstance.error({
             msg: 'Unhandled rejection',
             error: err
-        });
+        }));
     });
 };
 
-// Create default logger instance
-const logger = createLogger();
-registerProcessHandlers(logger);
+let defaultLogger = null;
+
+const getDefaultLogger = () => {
+    if (!defaultLogger) {
+        // Invalid environment values fail when the logger is first used rather than on a later log
+        validateConfig();
+        defaultLogger = createLogger();
+        registerProcessHandlers(defaultLogger);
+    }
+    return defaultLogger;
+};
+
+/**
+ * Make a configure() instance logger the default one, used by the top-level exports
+ * @param {object} loggerInstance - Logger from configure
+ */
+const setDefaultLogger = (loggerInstance) => {
+    defaultLogger = loggerInstance;
+};
+
+// The default logger is created on first use, so requiring the package has no side effects
+const logger = new Proxy({}, {
+    get: (_target, property) => Reflect.get(getDefaultLogger(), property),
+    set: (_target, property, value) => Reflect.set(getDefaultLogger(), property, value),
+    has: (_target, property) => property in getDefaultLogger()
+});
 
 module.exports = {
     logger,
-    createLogger
+    createLogger,
+    registerProcessHandlers,
+    getDefaultLogger,
+    setDefaultLogger,
+    runWithLoggerConfig,
+    LOGGER_FAMILY
 };
\ No newline at end of file
@@ -1,9 +1,39 @@
 //src/logger/index.js
-const { logger, createLogger } = require('./base-logger');
+const {
+    logger,
+    createLogger,
+    registerProcessHandlers,
+    setDefaultLogger,
+    runWithLoggerConfig
+} = require('./base-logger');
 const createTransport = require('./transport');
+const { getLogLevel, setLogLevel, enableLevelSignal, disableLevelSignal } = require('./level-control');
+const { getLogger } = require('./namespace');
+const { reopenLogFiles } = require('./rotating-file-transport');
+const {
+    flushLogger,
+    shutdownLogger,
+    shutdownAll,
+    enableShutdownSignals,
+    disableShutdownSignals
+} = require('./shutdown');
 
 module.exports = {
     logger,
     createLogger,
-    createTransport
+    registerProcessHandlers,
+    setDefaultLogger,
+    runWithLoggerConfig,
+    getLogger,
+    createTransport,
+    getLogLevel,
+    setLogLevel,
+    enableLevelSignal,
+    disableLevelSignal,
+    reopenLogFiles,
+    flushLogger,
+    shutdownLogger,
+    shutdownAll,
+    enableShutdownSignals,
+    disableShutdownSignals
 };
\ No newline at end of file
@@ -0,0 +1,187 @@
+// src/logger/level-control.js
+const { LOGGER_FAMILY, runWithLoggerConfig } = require('./base-logger');
+const { createLoggerRef } = require('./shutdown');
+const { LOG_LEVELS, SERVICE_NAME, getConfigValue, resolveLogLevel } = require('../config/constants');
+const { formatJsonLog } = require('../utils/formatters');
+
+// One listener per signal, cycling every logger enabled on it (held weakly) through its own levels
+const signalHandlers = new Map();
+// Registration of each enabled logger: { signal, ref, cycle }
+const signalRegistrations = new WeakMap();
+
+const normalizeLevel = (level) => {
+    const normalized = resolveLogLevel(level);
+    if (normalized !== 'silent' && LOG_LEVELS[normalized] === undefined) {
+        throw new Error(`Unknown log level "${level}"`);
+    }
+    return normalized;
+};
+
+const parseRevertMs = (value) => {
+    const ms = Number(value);
+    return Number.isFinite(ms) && ms > 0 ? ms : 0;
+};
+
+// Written at info through a dedicated child, so the change is visible whatever the new level
+const logLevelChange = (family, from, to, reason) => {
+    if (to === 'silent' || typeof family.root.child !== 'function') return;
+
+    family.root.child({}, { level: 'info' }).info(formatJsonLog({
+        message: `Log level changed from ${from} to ${to}`,
+        type: 'log_level',
+        logLevel: 'info',
+        levelChange: { from, to, reason },
+        service: SERVICE_NAME()
+    }));
+};
+
+const applyLevel = (family, level, reason) => {
+    const previousLevel = family.root.level;
+
+    family.root.level = level;
+    family.children.forEach(ref => {
+        const child = ref.deref();
+        if (child) {
+            child.level = level;
+        } else {
+            family.children.delete(ref);
+        }
+    });
+
+    logLevelChange(family, previousLevel, level, reason);
+};
+
+/**
+ * Get the current level of a logger
+ * @param {object} loggerInstance - Logger from createLogger/configure
+ * @returns {string}
+ */
+const getLogLevel = (loggerInstance) => {
+    const family = loggerInstance?.[LOGGER_FAMILY];
+    return family ? family.root.level : loggerInstance?.level;
+};
+
+/**
+ * Change the level of a logger and every child created from it, except children created
+ * with an explicit level. The change is logged.
+ * @param {object} loggerInstance - Logger from createLogger/configure
+ * @param {string} level - trace, debug, info, warn, error, fatal or silent
+ * @param {object} options
+ * @param {number} options.revertAfterMs - Restore the level in effect before the change after this delay,
+ *                                         defaults to LOG_LEVEL_REVERT_MS, 0 keeps the level
+ * @param {string} options.reason - Recorded in the level change log
+ * @returns {string} The new level
+ */
+const setLogLevel = (loggerInstance, level, options = {}) => runWithLoggerConfig(loggerInstance, () => {
+    const normalized = normalizeLevel(level);
+    const family = loggerInstance?.[LOGGER_FAMILY];
+    const {
+        revertAfterMs = getConfigValue('LOG_LEVEL_REVERT_MS'),
+        reason = 'setLevel'
+    } = options;
+
+    if (!family) {
+        loggerInstance.level = normalized;
+        return normalized;
+    }
+
+    // Chained changes revert to the level in effect before the first of them
+    const revertLevel = family.revertLevel || family.root.level;
+    clearTimeout(family.revertTimer);
+    family.revertTimer = null;
+    family.revertLevel = undefined;
+
+    const revertMs = parseRevertMs(revertAfterMs);
+    if (revertMs > 0 && revertLevel !== normalized) {
+        family.revertLevel = revertLevel;
+        family.revertTimer = setTimeout(() => {
+            family.revertTimer = null;
+            family.revertLevel = undefined;
+            applyLevel(family, revertLevel, 'revert');
+        }, revertMs);
+        family.revertTimer.unref?.();
+    }
+
+    applyLevel(family, normalized, reason);
+    return normalized;
+});
+
+const removeRegistration = (registration) => {
+    const signalHandler = signalHandlers.get(registration.signal);
+    if (!signalHandler) return;
+
+    signalHandler.registrations.delete(registration);
+    if (signalHandler.registrations.size === 0) {
+        process.removeListener(registration.signal, signalHandler.handler);
+        signalHandlers.delete(registration.signal);
+    }
+};
+
+const getSignalHandler = (signal) => {
+    if (!signalHandlers.has(signal)) {
+        const registrations = new Set();
+        const handler = () => registrations.forEach(registration => {
+            const loggerInstance = registration.ref.deref();
+            if (!loggerInstance) {
+                removeRegistration(registration);
+                return;
+            }
+            const { cycle } = registration;
+            const current = cycle.indexOf(getLogLevel(loggerInstance));
+            setLogLevel(loggerInstance, cycle[(current + 1) % cycle.length], { reason: signal });
+        });
+        process.on(signal, handler);
+        signalHandlers.set(signal, { handler, registrations });
+    }
+    return signalHandlers.get(signal);
+};
+
+/**
+ * Cycle a logger through LOG_LEVEL_SIGNAL_CYCLE (default info,debug,trace) on a signal.
+ * Loggers enabled on the same signal share one listener and each cycles on its own.
+ * @param {object} loggerInstance - Logger from createLogger/configure
+ * @param {object} options
+ * @param {string} options.signal - Signal to listen to, defaults to SIGUSR2
+ * @param {string[]} options.levels - Levels to cycle through
+ */
+const enableLevelSignal = (loggerInstance, options = {}) => runWithLoggerConfig(loggerInstance, () => {
+    const {
+        signal = 'SIGUSR2',
+        levels = getConfigValue('LOG_LEVEL_SIGNAL_CYCLE')
+    } = options;
+    const cycle = levels.map(normalizeLevel);
+
+    disableLevelSignal(loggerInstance);
+
+    const registration = { signal, ref: createLoggerRef(loggerInstance), cycle };
+    getSignalHandler(signal).registrations.add(registration);
+    signalRegistrations.set(loggerInstance, registration);
+});
+
+/**
+ * Stop cycling levels on the signal
+ * @param {object} loggerInstance - Logger to stop, every logger when omitted
+ */
+const disableLevelSignal = (loggerInstance) => {
+    if (loggerInstance) {
+        const registration = signalRegistrations.get(loggerInstance);
+        if (registration) {
+            removeRegistration(registration);
+            signalRegistrations.delete(loggerInstance);
+        }
+        return;
+    }
+
+    signalHandlers.forEach(({ handler, registrations }, signal) => {
+        registrations.forEach(registration => signalRegistrations.delete(registration.ref.deref()));
+        process.removeListener(signal, handler);
+    });
+    signalHandlers.clear();
+};
+
+module.exports = {
+    getLogLevel,
+    setLogLevel,
+    enableLevelSignal,
+    disableLevelSignal
+};
@@ -0,0 +1,88 @@
+// src/logger/namespace.js
+const { logger: baseLogger, getDefaultLogger, runWithLoggerConfig } = require('./base-logger');
+const { LOG_LEVELS, getConfigValue, resolveLogLevel } = require('../config/constants');
+
+// Module loggers by namespace, per parent logger
+const namespaceLoggers = new WeakMap();
+
+const isKnownLevel = (level) => level === 'silent' || LOG_LEVELS[level] !== undefined;
+
+const escapeRegExp = (value) => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse LOG_LEVELS, either "pattern=level,..." (e.g. "payments:*=debug,db=warn,*=info")
+ * or an object of pattern -> level. Entries with unknown levels are ignored.
+ * @param {string|object} spec
+ * @returns {object[]} { pattern, level, matcher } from most to least specific
+ */
+const parseLevelSpec = (spec) => {
+    if (!spec) return [];
+
+    const entries = typeof spec === 'string'
+        ? spec.split(',').map(entry => {
+            const separator = entry.lastIndexOf('=');
+            return separator === -1 ? [] : [entry.slice(0, separator), entry.slice(separator + 1)];
+        })
+        : Object.entries(spec);
+
+    return entries
+        .map(([pattern, level]) => [String(pattern || '').trim(), resolveLogLevel(level)])
+        .filter(([pattern, level]) => pattern && isKnownLevel(level))
+        .map(([pattern, level]) => ({
+            pattern,
+            level,
+            matcher: new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`)
+        }))
+        // Exact names first, then the longest literal part
+        .sort((a, b) => {
+            const aWildcard = a.pattern.includes('*');
+            const bWildcard = b.pattern.includes('*');
+            if (aWildcard !== bWildcard) return aWildcard ? 1 : -1;
+            return b.pattern.replace(/\*/g, '').length - a.pattern.replace(/\*/g, '').length;
+        });
+};
+
+/**
+ * Resolve the level configured for a namespace in LOG_LEVELS
+ * @param {string} namespace - e.g. payments:razorpay
+ * @returns {string|undefined} undefined when no pattern matches
+ */
+const resolveNamespaceLevel = (namespace) => {
+    const match = parseLevelSpec(getConfigValue('LOG_LEVELS'))
+        .find(({ matcher }) => matcher.test(namespace));
+    return match?.level;
+};
+
+/**
+ * Get a contextual logger for a module, logging a `module` field. Its level comes from the most
+ * specific LOG_LEVELS pattern, else it follows the parent (and runtime setLevel changes).
+ * A silent parent stays silent.
+ * @param {string} namespace - Module name, segments separated by ':'
+ * @param {object} parentLogger - Logger to derive from, defaults to the base logger
+ * @returns {object}
+ */
+const getLogger = (namespace, parentLogger = baseLogger) => {
+    // The base logger follows configure(), so cache under the logger it currently stands for
+    const parent = parentLogger === baseLogger ? getDefaultLogger() : parentLogger;
+    let byNamespace = namespaceLoggers.get(parent);
+    if (!byNamespace) {
+        byNamespace = new Map();
+        namespaceLoggers.set(parent, byNamespace);
+    }
+
+    if (!byNamespace.has(namespace)) {
+        const level = parent.level === 'silent'
+            ? undefined
+            : runWithLoggerConfig(parent, () => resolveNamespaceLevel(namespace));
+        byNamespace.set(namespace, level
+            ? parent.child({ module: namespace }, { level })
+            : parent.child({ module: namespace }));
+    }
+    return byNamespace.get(namespace);
+};
+
+module.exports = {
+    parseLevelSpec,
+    resolveNamespaceLevel,
+    getLogger
+};
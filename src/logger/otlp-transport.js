@@ -0,0 +1,228 @@
+// src/logger/otlp-transport.js
+const http = require('http');
+const https = require('https');
+const build = require('pino-abstract-transport');
+
+const SCOPE_NAME = '@ambak/express-logger';
+
+// Pino level -> OpenTelemetry severity number / text
+const SEVERITY_NUMBERS = { 10: 1, 20: 5, 30: 9, 40: 13, 50: 17, 60: 21 };
+const SEVERITY_TEXTS = { 10: 'TRACE', 20: 'DEBUG', 30: 'INFO', 40: 'WARN', 50: 'ERROR', 60: 'FATAL' };
+
+const GCP_TRACE_FIELD = 'logging.googleapis.com/trace';
+const GCP_SPAN_FIELD = 'logging.googleapis.com/spanId';
+const GCP_SAMPLED_FIELD = 'logging.googleapis.com/trace_sampled';
+
+/**
+ * Convert a JSON value to an OTLP AnyValue
+ * @param {any} value
+ * @returns {object}
+ */
+const toAnyValue = (value) => {
+    if (value === null || value === undefined) return {};
+    if (typeof value === 'string') return { stringValue: value };
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    }
+    if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+    if (typeof value === 'object') return { kvlistValue: { values: toAttributes(value) } };
+    return { stringValue: String(value) };
+};
+
+/**
+ * Convert an object to OTLP key/value attributes
+ * @param {object} object
+ * @returns {object[]}
+ */
+const toAttributes = (object) => Object.entries(object)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+
+/**
+ * Normalize a trace ID to 32 hex chars, unwrapping Cloud Logging
+ * trace paths and AWS X-Ray trace IDs
+ * @param {string} traceId
+ * @returns {string} '' when missing
+ */
+const toHexTraceId = (traceId) => {
+    if (!traceId) return '';
+
+    const id = String(traceId).split('/').pop();
+    const awsMatch = /^1-([0-9a-f]{8})-([0-9a-f]{24})$/i.exec(id);
+    const hex = awsMatch ? `${awsMatch[1]}${awsMatch[2]}` : id.replace(/[^0-9a-f]/gi, '');
+    return hex ? hex.slice(-32).padStart(32, '0').toLowerCase() : '';
+};
+
+const toUnixNano = (value) => {
+    const ms = typeof value === 'number' ? value : Date.parse(value);
+    return (BigInt(Math.round(Number.isNaN(ms) ? Date.now() : ms)) * BigInt(1000000)).toString();
+};
+
+/**
+ * Map a formatted log line (GCP or AWS layout) to an OTLP LogRecord
+ * @param {object} log - Parsed log line
+ * @returns {object}
+ */
+const toLogRecord = (log) => {
+    const {
+        level, time, timestamp, message, msg, severity,
+        traceId, spanId, sampled,
+        [GCP_TRACE_FIELD]: gcpTrace,
+        [GCP_SPAN_FIELD]: gcpSpanId,
+        [GCP_SAMPLED_FIELD]: gcpSampled,
+        'x-amzn-trace-id': amznTraceId,
+        ...attributes
+    } = log;
+
+    const hexTraceId = toHexTraceId(traceId || gcpTrace);
+    const hexSpanId = String(spanId || gcpSpanId || '').toLowerCase();
+    const isSampled = gcpSampled !== undefined ? gcpSampled : sampled;
+
+    return {
+        timeUnixNano: toUnixNano(time !== undefined ? time : timestamp),
+        observedTimeUnixNano: toUnixNano(Date.now()),
+        severityNumber: SEVERITY_NUMBERS[level] || 0,
+        severityText: severity || SEVERITY_TEXTS[level] || '',
+        body: toAnyValue(message !== undefined ? message : msg),
+        attributes: toAttributes(attributes),
+        ...(hexTraceId && {
+            traceId: hexTraceId,
+            flags: isSampled === false ? 0 : 1
+        }),
+        ...(/^[0-9a-f]{16}$/.test(hexSpanId) && { spanId: hexSpanId })
+    };
+};
+
+/**
+ * Wrap LogRecords in an OTLP ExportLogsServiceRequest
+ * @param {object[]} logRecords
+ * @param {string} serviceName
+ * @returns {object}
+ */
+const toExportRequest = (logRecords, serviceName) => ({
+    resourceLogs: [{
+        resource: { attributes: toAttributes({ 'service.name': serviceName }) },
+        scopeLogs: [{
+            scope: { name: SCOPE_NAME },
+            logRecords
+        }]
+    }]
+});
+
+// Export failures are reported on stderr and never thrown, so logging cannot crash the app
+const postJson = (endpoint, headers, payload, timeoutMs) => new Promise((resolve) => {
+    const body = JSON.stringify(payload);
+    const reportFailure = (reason) => {
+        process.stderr.write(`OTLP log export to ${endpoint} failed: ${reason}\n`);
+        resolve();
+    };
+
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch (error) {
+        reportFailure(error.message);
+        return;
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+        method: 'POST',
+        timeout: timeoutMs,
+        headers: {
+            'content-type': 'application/json',
+            'content-length': Buffer.byteLength(body),
+            ...headers
+        }
+    }, (res) => {
+        res.resume();
+        res.on('end', () => {
+            if (res.statusCode >= 300) {
+                reportFailure(`status ${res.statusCode}`);
+                return;
+            }
+            resolve();
+        });
+    });
+
+    req.on('timeout', () => req.destroy(new Error('request timed out')));
+    req.on('error', (error) => reportFailure(error.message));
+    req.end(body);
+});
+
+/**
+ * Pino transport posting logs as OTLP/HTTP JSON, batched by size and interval
+ * @param {object} options
+ * @param {string} options.endpoint - Collector logs URL, e.g. http://localhost:4318/v1/logs
+ * @param {object} options.headers - Extra request headers (auth)
+ * @param {string} options.serviceName - service.name resource attribute
+ * @param {number} options.batchSize - Records per request
+ * @param {number} options.flushIntervalMs - Max delay before a partial batch is sent
+ * @param {number} options.timeoutMs - Request timeout
+ * @param {number} options.maxQueuedBatches - Batches waiting for the collector; beyond it the oldest is dropped
+ * @returns {Promise<Transform>}
+ */
+module.exports = async (options = {}) => {
+    const {
+        endpoint = 'http://localhost:4318/v1/logs',
+        headers = {},
+        serviceName = 'express-app',
+        batchSize = 100,
+        flushIntervalMs = 1000,
+        timeoutMs = 10000,
+        maxQueuedBatches = 100
+    } = options;
+
+    let batch = [];
+    // Batches wait here while the previous request is in flight, so requests are sent one at a time
+    const queue = [];
+    let sending = null;
+    let droppedRecords = 0;
+
+    const send = async () => {
+        while (queue.length > 0) {
+            const logRecords = queue.shift();
+            await postJson(endpoint, headers, toExportRequest(logRecords, serviceName), timeoutMs);
+        }
+        sending = null;
+    };
+
+    // Resolves once every batch so far is sent; a slow or down collector costs the oldest batches, not memory
+    const flush = () => {
+        if (batch.length > 0) {
+            queue.push(batch);
+            batch = [];
+        }
+        if (queue.length > maxQueuedBatches) {
+            const dropped = queue.shift();
+            droppedRecords += dropped.length;
+            process.stderr.write(`OTLP log export to ${endpoint} is falling behind, dropped ${dropped.length} `
+                + `log records (${droppedRecords} in total)\n`);
+        }
+        if (!sending && queue.length > 0) {
+            sending = send();
+        }
+        return sending || Promise.resolve();
+    };
+
+    const timer = setInterval(flush, flushIntervalMs);
+    timer.unref();
+
+    return build(async (source) => {
+        for await (const log of source) {
+            batch.push(toLogRecord(log));
+            if (batch.length >= batchSize) {
+                flush();
+            }
+        }
+    }, {
+        close: async () => {
+            clearInterval(timer);
+            await flush();
+        }
+    });
+};
+
+module.exports.toLogRecord = toLogRecord;
+module.exports.toExportRequest = toExportRequest;
@@ -0,0 +1,273 @@
+// src/logger/rotating-file-transport.js
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { BroadcastChannel } = require('worker_threads');
+const build = require('pino-abstract-transport');
+
+// Channel the main thread uses to ask file transports to reopen, since workers do not receive signals
+const REOPEN_CHANNEL = '@ambak/express-logger:reopen';
+// Without BroadcastChannel (Node 14), writes check this often whether the file was moved
+const REOPEN_CHECK_MS = 1000;
+
+const SIZE_UNITS = { '': 1, b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 };
+const DURATION_UNITS = { '': 1, ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+const parseWithUnits = (value, units) => {
+    if (value === undefined || value === null || value === '') return 0;
+    if (typeof value === 'number') return value > 0 ? value : 0;
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(String(value));
+    const multiplier = match && units[match[2].toLowerCase()];
+    if (!multiplier) {
+        throw new TypeError(`Invalid log rotation setting "${value}"`);
+    }
+    return Number(match[1]) * multiplier;
+};
+
+/**
+ * Parse a size, e.g. 10m, 1gb or a number of bytes
+ * @param {string|number} value
+ * @returns {number} Bytes, 0 when unset
+ */
+const parseSize = (value) => parseWithUnits(value, SIZE_UNITS);
+
+/**
+ * Parse a duration, e.g. 1d, 12h, 30m or a number of milliseconds
+ * @param {string|number} value
+ * @returns {number} Milliseconds, 0 when unset
+ */
+const parseDuration = (value) => parseWithUnits(value, DURATION_UNITS);
+
+// app.log -> app.log.20260101-000000, with a counter when the name is taken
+const getRotatedPath = (filePath, date) => {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    let rotatedPath = `${filePath}.${stamp}`;
+    for (let counter = 1; fs.existsSync(rotatedPath) || fs.existsSync(`${rotatedPath}.gz`); counter++) {
+        rotatedPath = `${filePath}.${stamp}.${counter}`;
+    }
+    return rotatedPath;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Files rotated by this transport, newest first; files rotated by other tools are left alone
+const listRotatedFiles = (filePath) => {
+    const dir = path.dirname(filePath);
+    const rotatedName = new RegExp(`^${escapeRegExp(path.basename(filePath))}\\.(\\d{8}-\\d{6})(?:\\.(\\d+))?(?:\\.gz)?$`);
+
+    return fs.readdirSync(dir)
+        .map(name => ({ name, match: rotatedName.exec(name) }))
+        .filter(({ match }) => match)
+        .map(({ name, match }) => {
+            const file = path.join(dir, name);
+            return { file, stamp: match[1], counter: Number(match[2] || 0), mtimeMs: fs.statSync(file).mtimeMs };
+        })
+        .sort((a, b) => b.stamp.localeCompare(a.stamp) || b.counter - a.counter);
+};
+
+/**
+ * Delete rotated files beyond maxFiles or older than maxAgeMs
+ * @param {string} filePath - Active log file
+ * @param {object} retention
+ * @param {number} retention.maxFiles - Rotated files to keep, 0 keeps all
+ * @param {number} retention.maxAgeMs - Age after which rotated files are deleted, 0 keeps all
+ */
+const applyRetention = (filePath, { maxFiles, maxAgeMs }) => {
+    const now = Date.now();
+    listRotatedFiles(filePath).forEach(({ file, mtimeMs }, index) => {
+        if ((maxFiles > 0 && index >= maxFiles) || (maxAgeMs > 0 && now - mtimeMs > maxAgeMs)) {
+            fs.rmSync(file, { force: true });
+        }
+    });
+};
+
+// Files already removed by retention are skipped
+const compressFile = (file) => new Promise((resolve, reject) => {
+    if (!fs.existsSync(file)) {
+        resolve();
+        return;
+    }
+
+    pipeline(
+        fs.createReadStream(file),
+        zlib.createGzip(),
+        fs.createWriteStream(`${file}.gz`),
+        (error) => {
+            if (error) {
+                fs.rmSync(`${file}.gz`, { force: true });
+                reject(error);
+                return;
+            }
+            fs.rmSync(file, { force: true });
+            resolve();
+        }
+    );
+});
+
+/**
+ * Ask every rotating file transport to reopen its file, e.g. after an external logrotate moved it
+ */
+const reopenLogFiles = () => {
+    if (!BroadcastChannel) return;
+
+    const channel = new BroadcastChannel(REOPEN_CHANNEL);
+    channel.postMessage('reopen');
+    channel.close();
+};
+
+/**
+ * Pino transport appending to a file, rotated by size and/or time. Rotated files are renamed
+ * with a UTC timestamp, optionally gzipped, and pruned by count and age.
+ * @param {object} options
+ * @param {string} options.path - Log file path
+ * @param {string|number} options.maxSize - Rotate when the file would exceed this size (e.g. 100m)
+ * @param {string|number} options.interval - Rotate at each interval, aligned to UTC (e.g. 1d, 1h)
+ * @param {boolean} options.compress - Gzip rotated files, default true
+ * @param {number} options.maxFiles - Rotated files to keep, default all
+ * @param {string|number} options.maxAge - Delete rotated files older than this (e.g. 14d)
+ * @param {boolean} options.mkdir - Create the directory, default true
+ * @returns {Promise<Transform>}
+ */
+module.exports = async (options = {}) => {
+    const {
+        path: filePath,
+        compress = true,
+        maxFiles = 0,
+        mkdir = true
+    } = options;
+
+    if (!filePath) {
+        throw new TypeError('Rotating log files need a path');
+    }
+
+    const maxSize = parseSize(options.maxSize);
+    const intervalMs = parseDuration(options.interval);
+    const retention = { maxFiles: Number(maxFiles) || 0, maxAgeMs: parseDuration(options.maxAge) };
+
+    let fd;
+    let size = 0;
+    let nextRotationAt = Infinity;
+    let pending = Promise.resolve();
+
+    const getNextRotationAt = (now) => (intervalMs > 0
+        ? (Math.floor(now / intervalMs) + 1) * intervalMs
+        : Infinity);
+
+    const report = (message) => process.stderr.write(`Log file rotation of ${filePath} failed: ${message}\n`);
+
+    const open = () => {
+        if (mkdir) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        }
+        fd = fs.openSync(filePath, 'a');
+        size = fs.fstatSync(fd).size;
+    };
+
+    // When the new file cannot be opened (e.g. its directory was moved), writing goes on to the old one
+    const reopen = () => {
+        const previousFd = fd;
+        try {
+            open();
+        } catch (error) {
+            fd = previousFd;
+            process.stderr.write(`Reopening log file ${filePath} failed, `
+                + `writing to the previous file: ${error.message}\n`);
+            return;
+        }
+        try {
+            fs.closeSync(previousFd);
+        } catch (error) {
+            report(error.message);
+        }
+    };
+
+    // The file was moved or deleted since it was opened
+    const isMoved = () => {
+        try {
+            return fs.statSync(filePath).ino !== fs.fstatSync(fd).ino;
+        } catch (error) {
+            return true;
+        }
+    };
+
+    // Compression and retention run off the write path; failures are reported on stderr.
+    // Without a rotated file only retention runs
+    const archive = (rotatedPath) => {
+        pending = pending
+            .then(() => (compress && rotatedPath ? compressFile(rotatedPath) : undefined))
+            .then(() => applyRetention(filePath, retention))
+            .catch(error => report(error.message));
+    };
+
+    // A file moved away by another tool cannot be renamed; writing continues in a new file at filePath
+    const rotate = (periodStart = new Date()) => {
+        let rotatedPath = getRotatedPath(filePath, periodStart);
+        try {
+            fs.closeSync(fd);
+            fs.renameSync(filePath, rotatedPath);
+        } catch (error) {
+            report(error.message);
+            rotatedPath = null;
+        }
+        open();
+        archive(rotatedPath);
+    };
+
+    open();
+    const now = Date.now();
+    nextRotationAt = getNextRotationAt(now);
+
+    // A file left over from an earlier period is rotated before writing to it
+    if (size > 0 && intervalMs > 0) {
+        const { mtimeMs } = fs.fstatSync(fd);
+        if (getNextRotationAt(mtimeMs) <= now) {
+            rotate(new Date(getNextRotationAt(mtimeMs) - intervalMs));
+        }
+    }
+    archive(null);
+
+    const channel = BroadcastChannel ? new BroadcastChannel(REOPEN_CHANNEL) : null;
+    if (channel) {
+        channel.onmessage = reopen;
+        channel.unref?.();
+    }
+
+    let nextReopenCheckAt = Date.now() + REOPEN_CHECK_MS;
+
+    return build(async (source) => {
+        for await (const line of source) {
+            const data = `${line}\n`;
+            const bytes = Buffer.byteLength(data);
+            const writeAt = Date.now();
+
+            if (!channel && writeAt >= nextReopenCheckAt) {
+                nextReopenCheckAt = writeAt + REOPEN_CHECK_MS;
+                if (isMoved()) reopen();
+            }
+
+            if (writeAt >= nextRotationAt) {
+                rotate(new Date(nextRotationAt - intervalMs));
+                nextRotationAt = getNextRotationAt(writeAt);
+            } else if (maxSize > 0 && size > 0 && size + bytes > maxSize) {
+                rotate();
+            }
+
+            fs.writeSync(fd, data);
+            size += bytes;
+        }
+    }, {
+        parse: 'lines',
+        close: async () => {
+            channel?.close();
+            fs.closeSync(fd);
+            await pending;
+        }
+    });
+};
+
+module.exports.parseSize = parseSize;
+module.exports.parseDuration = parseDuration;
+module.exports.applyRetention = applyRetention;
+module.exports.reopenLogFiles = reopenLogFiles;
@@ -0,0 +1,73 @@
+// src/logger/sampling.js
+const { LOG_LEVELS, getConfigValue, resolveLogLevel } = require('../config/constants');
+const { getTraceIdRatio } = require('../context/sampler');
+
+// Entries about the logger itself are always kept
+const EXEMPT_TYPES = new Set(['suppressed', 'shutdown']);
+
+let cachedSpec;
+let cachedRates = {};
+
+/**
+ * Parse LOG_SAMPLE_RATES, either "[type:]level=ratio,..." (e.g. "debug=0.5,request:info=0.1")
+ * or an object of [type:]level -> ratio. fatal is never sampled.
+ * @param {string|object} spec
+ * @returns {object} level or type:level -> ratio in [0, 1]
+ */
+const parseSampleRates = (spec) => {
+    if (!spec) return {};
+
+    const entries = typeof spec === 'string'
+        ? spec.split(',').map(entry => {
+            const separator = entry.lastIndexOf('=');
+            return separator === -1 ? [] : [entry.slice(0, separator), entry.slice(separator + 1)];
+        })
+        : Object.entries(spec);
+
+    return Object.fromEntries(entries
+        .map(([key, ratio]) => {
+            const [type, level] = String(key || '').includes(':') ? String(key).split(':') : ['', key];
+            return { type: type.trim(), level: resolveLogLevel(level), ratio: String(ratio ?? '').trim() };
+        })
+        .filter(({ level, ratio }) => LOG_LEVELS[level] !== undefined && level !== 'fatal'
+            && ratio !== '' && Number(ratio) >= 0 && Number(ratio) <= 1)
+        .map(({ type, level, ratio }) => [type ? `${type}:${level}` : level, Number(ratio)]));
+};
+
+/**
+ * Share of entries kept for a level and log type: the type:level rate, else the level rate, else 1
+ * @param {string} level
+ * @param {string} type - Log type, e.g. request or response
+ * @returns {number}
+ */
+const getLogSampleRate = (level, type) => {
+    if (EXEMPT_TYPES.has(type)) return 1;
+
+    const spec = getConfigValue('LOG_SAMPLE_RATES');
+    if (spec !== cachedSpec) {
+        cachedSpec = spec;
+        cachedRates = parseSampleRates(spec);
+    }
+    return cachedRates[`${type}:${level}`] ?? cachedRates[level] ?? 1;
+};
+
+/**
+ * Decide whether to keep an entry. The decision is derived from the traceId, so a request kept
+ * at a rate keeps all of its entries at that rate or above, in step with TRACE_SAMPLE_RATIO.
+ * Entries outside a trace are sampled at random.
+ * @param {string} level
+ * @param {string} type - Log type, e.g. request or response
+ * @param {string} traceId
+ * @returns {number} Rate applied to the entry, 0 when it is dropped
+ */
+const sampleLogEntry = (level, type, traceId) => {
+    const rate = getLogSampleRate(level, type);
+    if (rate >= 1) return 1;
+    return getTraceIdRatio(traceId) < rate ? rate : 0;
+};
+
+module.exports = {
+    parseSampleRates,
+    getLogSampleRate,
+    sampleLogEntry
+};
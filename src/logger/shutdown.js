@@ -0,0 +1,233 @@
+// src/logger/shutdown.js
+const os = require('os');
+const pino = require('pino');
+const { SERVICE_NAME, getConfigValue, runWithConfig, getScopedConfig } = require('../config/constants');
+const { formatJsonLog } = require('../utils/formatters');
+
+// Root pino loggers from createLogger, flushed and closed together on shutdown
+const trackedLoggers = new Set();
+// Shutdown promise per destination stream, so each transport is only closed once
+const shutdowns = new WeakMap();
+// Handlers registered by enableShutdownSignals, one set per process, and the loggers reporting
+// the signal with the config they were enabled under. Loggers are held weakly, so instances
+// that are no longer used can be collected
+let signalHandlers = [];
+const signalLoggers = new Set();
+const signalLoggerConfigs = new WeakMap();
+
+/**
+ * Reference a logger without keeping it alive. WeakRef is missing before Node 14.6,
+ * there the logger is kept for the life of the process.
+ * @param {object} loggerInstance
+ * @returns {object} { deref }
+ */
+const createLoggerRef = (loggerInstance) => (typeof WeakRef === 'function'
+    ? new WeakRef(loggerInstance)
+    : { deref: () => loggerInstance });
+
+/**
+ * Remember a root pino logger so shutdownAll() can close its transport
+ * @param {object} baseLogger - Logger returned by pino()
+ */
+const trackLogger = (baseLogger) => {
+    trackedLoggers.add(createLoggerRef(baseLogger));
+};
+
+/**
+ * Read LOG_SHUTDOWN_GRACE_MS, the longest shutdown waits for logs to be written
+ * @returns {number}
+ */
+const getGracePeriodMs = () => getConfigValue('LOG_SHUTDOWN_GRACE_MS');
+
+// Resolves after ms at the latest, without keeping the process alive
+const withTimeout = (promise, ms) => Promise.race([
+    promise,
+    new Promise(resolve => setTimeout(resolve, ms).unref())
+]);
+
+/**
+ * Flush a logger: resolves once its transport has received every log written so far
+ * @param {object} loggerInstance - Logger from createLogger/configure, or a child
+ * @param {Function} callback - Optional, called like pino's flush(cb)
+ * @returns {Promise<void>}
+ */
+const flushLogger = (loggerInstance, callback) => new Promise((resolve, reject) => {
+    const stream = loggerInstance[pino.symbols.streamSym];
+    const done = (error) => {
+        if (typeof callback === 'function') callback(error);
+        if (error) {
+            reject(error);
+            return;
+        }
+        resolve();
+    };
+
+    if (!stream || typeof stream.flush !== 'function') {
+        done();
+        return;
+    }
+    stream.flush(done);
+});
+
+// Transports emit close once their worker has written everything and exited;
+// stdout and stderr are never closed
+const closeStream = (stream) => new Promise(resolve => {
+    if (!stream || typeof stream.end !== 'function' || stream === process.stdout || stream === process.stderr) {
+        resolve();
+        return;
+    }
+
+    stream.once('close', resolve);
+    stream.once('error', () => resolve());
+    try {
+        stream.end();
+    } catch (_error) {
+        resolve();
+    }
+});
+
+/**
+ * Flush a logger and close its transport, waiting up to the grace period. Logs written
+ * afterwards are lost, so call it last.
+ * @param {object} loggerInstance - Logger from createLogger/configure
+ * @param {object} options
+ * @param {number} options.gracePeriodMs - Longest wait, defaults to LOG_SHUTDOWN_GRACE_MS (5000)
+ * @returns {Promise<void>}
+ */
+const shutdownLogger = (loggerInstance, options = {}) => {
+    const { gracePeriodMs = getGracePeriodMs() } = options;
+    const stream = loggerInstance[pino.symbols.streamSym];
+
+    if (stream && !shutdowns.has(stream)) {
+        shutdowns.set(stream, flushLogger(loggerInstance)
+            .catch(() => {})
+            .then(() => closeStream(stream)));
+    }
+    return withTimeout(shutdowns.get(stream) || Promise.resolve(), gracePeriodMs);
+};
+
+/**
+ * Shut down every logger created with createLogger
+ * @param {object} options - See shutdownLogger
+ * @returns {Promise<void>}
+ */
+const shutdownAll = (options = {}) => {
+    const loggers = [];
+    trackedLoggers.forEach(ref => {
+        const baseLogger = ref.deref();
+        if (baseLogger) {
+            loggers.push(baseLogger);
+        } else {
+            trackedLoggers.delete(ref);
+        }
+    });
+    return Promise.all(loggers.map(baseLogger => shutdownLogger(baseLogger, options)));
+};
+
+/**
+ * Shut down every logger, then exit. The process exits after the grace period at the latest.
+ * @param {number} code - Exit code
+ * @param {number} gracePeriodMs - Longest wait for logs, defaults to LOG_SHUTDOWN_GRACE_MS
+ */
+const exitAfterShutdown = (code, gracePeriodMs = getGracePeriodMs()) => {
+    const timer = setTimeout(() => process.exit(code), gracePeriodMs);
+    shutdownAll({ gracePeriodMs }).then(() => {
+        clearTimeout(timer);
+        process.exit(code);
+    });
+};
+
+// Exit code of a process killed by the signal, e.g. 143 for SIGTERM and 130 for SIGINT
+const getSignalExitCode = (signal) => 128 + (os.constants.signals[signal] || 0);
+
+const parseSignals = (signals) => signals.filter(signal => !['none', 'false'].includes(signal.toLowerCase()));
+
+/**
+ * Report shutdown signals through a logger as well, under the config it is added with.
+ * Signals are only handled once enableShutdownSignals has been called.
+ * @param {object} loggerInstance - Logger the signal is reported through
+ */
+const addSignalLogger = (loggerInstance) => {
+    if (!signalLoggerConfigs.has(loggerInstance)) {
+        signalLoggers.add(createLoggerRef(loggerInstance));
+    }
+    signalLoggerConfigs.set(loggerInstance, getScopedConfig());
+};
+
+const forEachSignalLogger = (fn) => signalLoggers.forEach(ref => {
+    const loggerInstance = ref.deref();
+    if (loggerInstance) {
+        runWithConfig(signalLoggerConfigs.get(loggerInstance), () => fn(loggerInstance));
+    } else {
+        signalLoggers.delete(ref);
+    }
+});
+
+/**
+ * On LOG_SHUTDOWN_SIGNALS (default SIGTERM,SIGINT): log the signal, flush and close every
+ * logger, then exit with 128 + the signal number, as if killed by it. When the app has its own
+ * listener for the signal, the logs are only flushed and the app decides when to exit. Each call
+ * adds a logger reporting the signal; the latest options apply.
+ * @param {object} loggerInstance - Logger the signal is reported through
+ * @param {object} options
+ * @param {string[]} options.signals - Signals to handle
+ * @param {number} options.gracePeriodMs - Longest wait for logs before exiting
+ */
+const enableShutdownSignals = (loggerInstance, options = {}) => {
+    const {
+        signals = parseSignals(getConfigValue('LOG_SHUTDOWN_SIGNALS')),
+        gracePeriodMs = getGracePeriodMs()
+    } = options;
+
+    removeSignalHandlers();
+    addSignalLogger(loggerInstance);
+
+    signalHandlers = signals.map(signal => {
+        const handler = () => {
+            const appHandlesSignal = process.listenerCount(signal) > 1;
+
+            forEachSignalLogger(signalLogger => signalLogger.info(formatJsonLog({
+                message: `Received ${signal}, ${appHandlesSignal ? 'flushing logs' : 'shutting down'}`,
+                type: 'shutdown',
+                logLevel: 'info',
+                signal,
+                service: SERVICE_NAME()
+            })));
+
+            if (appHandlesSignal) {
+                forEachSignalLogger(signalLogger => flushLogger(signalLogger).catch(() => {}));
+                return;
+            }
+            exitAfterShutdown(getSignalExitCode(signal), gracePeriodMs);
+        };
+        process.on(signal, handler);
+        return { signal, handler };
+    });
+};
+
+const removeSignalHandlers = () => {
+    signalHandlers.forEach(({ signal, handler }) => process.removeListener(signal, handler));
+    signalHandlers = [];
+};
+
+/**
+ * Stop handling shutdown signals
+ */
+const disableShutdownSignals = () => {
+    removeSignalHandlers();
+    signalLoggers.forEach(ref => signalLoggerConfigs.delete(ref.deref()));
+    signalLoggers.clear();
+};
+
+module.exports = {
+    createLoggerRef,
+    trackLogger,
+    getGracePeriodMs,
+    flushLogger,
+    shutdownLogger,
+    shutdownAll,
+    exitAfterShutdown,
+    addSignalLogger,
+    enableShutdownSignals,
+    disableShutdownSignals
+};
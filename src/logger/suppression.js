@@ -0,0 +1,176 @@
+// src/logger/suppression.js
+const path = require('path');
+const { LOG_LEVELS, SERVICE_NAME, getConfigValue, resolveLogLevel, runWithConfig } = require('../config/constants');
+const { formatJsonLog } = require('../utils/formatters');
+const asyncLocalStorage = require('../context/async-context');
+const { getOtelApi, isOtelBridgeEnabled, runInOtelContext } = require('../context/otel');
+
+// Frames of the logger and config scoping, the call site is the first frame outside them
+const INTERNAL_DIRS = [__dirname, path.join(__dirname, '..', 'config')].map(dir => `${dir}${path.sep}`);
+const STACK_FRAME = /\(?([^()\s]+):(\d+):\d+\)?$/;
+// Access logs are one entry per request rather than repeated messages
+const EXEMPT_TYPES = new Set(['request', 'response', 'suppressed']);
+// Fingerprints tracked per window; entries beyond it are let through
+const MAX_FINGERPRINTS = 10000;
+
+let cachedSpec;
+let cachedLimits = {};
+
+/**
+ * Parse LOG_SUPPRESSION_LIMITS, either "level=count,..." (e.g. "error=10,warn=20,*=50")
+ * or an object of level -> count. fatal is never suppressed.
+ * @param {string|object} spec
+ * @returns {object} level -> count, '*' for the other levels
+ */
+const parseSuppressionLimits = (spec) => {
+    if (!spec) return {};
+
+    const entries = typeof spec === 'string'
+        ? spec.split(',').map(entry => entry.split('='))
+        : Object.entries(spec);
+
+    return Object.fromEntries(entries
+        .map(([level, count]) => [level === '*' ? '*' : resolveLogLevel(level), Number(count)])
+        .filter(([level, count]) => (level === '*' || (LOG_LEVELS[level] !== undefined && level !== 'fatal'))
+            && Number.isInteger(count) && count >= 0));
+};
+
+/**
+ * Messages of a level let through per window, undefined when the level is not limited
+ * @param {string} level
+ * @returns {number|undefined}
+ */
+const getSuppressionLimit = (level) => {
+    if (level === 'fatal') return undefined;
+
+    const spec = getConfigValue('LOG_SUPPRESSION_LIMITS');
+    if (spec !== cachedSpec) {
+        cachedSpec = spec;
+        cachedLimits = parseSuppressionLimits(spec);
+    }
+    return cachedLimits[level] ?? cachedLimits['*'];
+};
+
+// file:line of the code calling the logger, skipping Node internals (node:async_hooks, or
+// async_hooks.js on Node 14) which have no absolute path
+const getCallSite = () => {
+    const frames = (new Error().stack || '').split('\n').slice(1);
+    for (const frame of frames) {
+        const match = STACK_FRAME.exec(frame.trim());
+        const file = match && match[1].replace(/^file:\/\//, '');
+        if (file && path.isAbsolute(file) && !INTERNAL_DIRS.some(dir => file.startsWith(dir))) {
+            return `${file}:${match[2]}`;
+        }
+    }
+    return '';
+};
+
+// Summaries cover many requests, so they are logged outside the request (and OTel span) that triggered them
+const runOutsideRequest = (fn) => asyncLocalStorage.exit(() => (isOtelBridgeEnabled()
+    ? runInOtelContext(getOtelApi().ROOT_CONTEXT, fn)
+    : fn()));
+
+/**
+ * Create the suppression state of a logger family. Within each LOG_SUPPRESSION_WINDOW_MS window,
+ * the first LOG_SUPPRESSION_LIMITS entries of a fingerprint (level, message, error type and call
+ * site) are let through and the repeats dropped. A `suppressed` summary per fingerprint is logged
+ * when the window ends.
+ * @param {function} emit - (level, entry) => void, logs a summary
+ * @param {object|null} config - configure() instance config of the family
+ * @returns {object} { shouldSuppress, flush }
+ */
+const createSuppressor = (emit, config = null) => {
+    let windowStart = 0;
+    let windowMs = 0;
+    let timer = null;
+    const fingerprints = new Map();
+
+    // Logs the summaries of the window and starts a new one; also runs from the timer
+    const flush = () => runWithConfig(config, () => runOutsideRequest(() => {
+        clearTimeout(timer);
+        timer = null;
+        const summaries = Array.from(fingerprints.values())
+            .flatMap(group => Array.from(group.sites.values()))
+            .filter(entry => entry.suppressed > 0);
+        fingerprints.clear();
+        windowStart = 0;
+
+        summaries.forEach(entry => emit(entry.level, formatJsonLog({
+            message: `Suppressed ${entry.suppressed} repeats of "${entry.message}"`,
+            type: 'suppressed',
+            logLevel: entry.level,
+            suppressed: {
+                count: entry.suppressed,
+                allowed: entry.count - entry.suppressed,
+                message: entry.message,
+                ...(entry.errorType && { errorType: entry.errorType }),
+                callSite: entry.callSite,
+                windowMs: entry.windowMs,
+                sampleRequestId: entry.sampleRequestId
+            },
+            service: SERVICE_NAME()
+        })));
+    }));
+
+    /**
+     * Count an entry and decide whether to drop it
+     * @param {string} level
+     * @param {object} logData - Entry before enrichment
+     * @param {string} requestId - Request of the entry, kept as a sample of the suppressed ones
+     * @returns {boolean} true when the entry should be dropped
+     */
+    const shouldSuppress = (level, logData, requestId) => {
+        const limit = getSuppressionLimit(level);
+        if (limit === undefined || EXEMPT_TYPES.has(logData.type)) return false;
+
+        const now = Date.now();
+        if (windowStart && now - windowStart >= windowMs) {
+            flush();
+        }
+        if (!windowStart) {
+            windowStart = now;
+            windowMs = getConfigValue('LOG_SUPPRESSION_WINDOW_MS');
+        }
+
+        const message = String(logData.message ?? logData.msg ?? '');
+        const errorType = logData.error?.type || logData.error?.name || logData.err?.type || logData.err?.name || '';
+        const key = [level, message, errorType].join('\u0000');
+
+        let group = fingerprints.get(key);
+        if (!group) {
+            if (fingerprints.size >= MAX_FINGERPRINTS) return false;
+            group = { count: 0, sites: new Map() };
+            fingerprints.set(key, group);
+        }
+        group.count++;
+        // No call site can be over the limit before the message is, so the stack is only read after
+        if (group.count <= limit) return false;
+
+        const callSite = getCallSite();
+        let entry = group.sites.get(callSite);
+        if (!entry) {
+            // The first call site seen over the limit is charged with the entries let through before it
+            const count = group.sites.size ? 0 : group.count - 1;
+            entry = { level, message, errorType, callSite, windowMs, count, suppressed: 0 };
+            group.sites.set(callSite, entry);
+        }
+        entry.count++;
+        if (entry.count <= limit) return false;
+
+        entry.suppressed++;
+        entry.sampleRequestId = entry.sampleRequestId || requestId || undefined;
+        if (!timer) {
+            // Summaries are due at the end of the window even if nothing else is logged
+            timer = runOutsideRequest(() => setTimeout(flush, Math.max(windowStart + windowMs - now, 0)));
+            timer.unref?.();
+        }
+        return true;
+    };
+
+    return { shouldSuppress, flush };
+};
+
+module.exports = {
+    parseSuppressionLimits,
+    createSuppressor
+};
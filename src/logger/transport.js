@@ -1,27 +1,169 @@
 // src/logger/transport.js
-const { LOG_FORMAT } = require('../config/constants');
-const getTransport = () => ({
-  target: LOG_FORMAT === 'pretty' ? 'pino-pretty' : 'pino/file',
-  options: LOG_FORMAT === 'pretty' ? {
-    colorize: true,
-    translateTime: 'SYS:standard',
-    ignore: 'pid,hostname',
-    messageFormat: '[{time}] [{requestId}] [{type}] {msg}',
-    levelFirst: true,
-    sync: false
-  } : {
-    destination: process.stdout.fd,
-    sync: false,
-    mkdir: true,
-    messageKey: 'message',
-    timestamp: true,
-    minLength: 1024,
-    flushInterval: 100,
-    worker: {
-      idleTimeout: 1000,
-      queueSize: 1024
-    }
+const path = require('path');
+const { SERVICE_NAME, getConfigValue } = require('../config/constants');
+const { reopenLogFiles } = require('./rotating-file-transport');
+
+// Parses OTLP_HEADERS, "key=value,key=value"
+const parseOtlpHeaders = (value) => Object.fromEntries(
+  String(value || '')
+    .split(',')
+    .filter(entry => entry.includes('='))
+    .map(entry => {
+      const separator = entry.indexOf('=');
+      return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+    })
+    .filter(([key]) => key)
+);
+
+// LOG_EXPORTER=otlp sends every log as an OTLP LogRecord to OTLP_LOGS_ENDPOINT
+const getOtlpTransport = () => ({
+  target: path.join(__dirname, 'otlp-transport.js'),
+  options: {
+    endpoint: getConfigValue('OTLP_LOGS_ENDPOINT'),
+    headers: parseOtlpHeaders(getConfigValue('OTLP_HEADERS')),
+    serviceName: SERVICE_NAME()
   }
 });
 
-module.exports = getTransport();
\ No newline at end of file
+const PRETTY_OPTIONS = {
+  colorize: true,
+  translateTime: 'SYS:standard',
+  ignore: 'pid,hostname',
+  messageFormat: '[{time}] [{requestId}] [{type}] {msg}',
+  levelFirst: true,
+  sync: false
+};
+
+const DESTINATION_FORMATS = ['json', 'pretty', 'text'];
+
+let reopenSignalRegistered = false;
+
+// SIGHUP reopens rotating files after an external logrotate; the workers cannot receive it themselves
+const registerReopenSignal = () => {
+  if (reopenSignalRegistered) return;
+  reopenSignalRegistered = true;
+  process.on('SIGHUP', reopenLogFiles);
+};
+
+// File destinations with a rotate option are written by the rotating file transport
+const getRotatingFileTarget = ({ path: filePath, rotate, format }, level) => {
+  if (format !== 'json') {
+    throw new TypeError(`Rotating log files only support the json format, got "${format}"`);
+  }
+
+  registerReopenSignal();
+  return {
+    target: path.join(__dirname, 'rotating-file-transport.js'),
+    options: { ...(rotate === true ? {} : rotate), path: filePath },
+    level
+  };
+};
+
+// stdout/stderr as file descriptors, file destinations by path
+const getDestinationStream = (destination) => {
+  switch (destination.type) {
+    case 'stdout':
+      return process.stdout.fd;
+    case 'stderr':
+      return process.stderr.fd;
+    case 'file':
+      if (!destination.path) {
+        throw new TypeError('File log destinations need a path');
+      }
+      return destination.path;
+    default:
+      throw new TypeError(`Unknown log destination type "${destination.type}"`);
+  }
+};
+
+/**
+ * Build the pino transport target of a destination
+ * @param {object} destination
+ * @param {string} destination.type - stdout, stderr, file or otlp
+ * @param {string} destination.path - File path for file destinations
+ * @param {object|boolean} destination.rotate - Rotation of file destinations (maxSize, interval, compress, maxFiles, maxAge)
+ * @param {string} destination.level - Minimum level written to this destination (default trace, i.e. the logger level)
+ * @param {string} destination.format - json (default), pretty (colorized) or text (plain single line)
+ * @returns {object} { target, options, level }
+ */
+const getDestinationTarget = (destination = {}) => {
+  const { type = 'stdout', level = 'trace', format = 'json', ...rest } = destination;
+
+  if (type === 'otlp') {
+    const otlpTransport = getOtlpTransport();
+    return { ...otlpTransport, options: { ...otlpTransport.options, ...rest }, level };
+  }
+
+  if (!DESTINATION_FORMATS.includes(format)) {
+    throw new TypeError(`Unknown log destination format "${format}"`);
+  }
+
+  const stream = getDestinationStream({ type, ...rest });
+  if (type === 'file' && rest.rotate) {
+    return getRotatingFileTarget({ ...rest, format }, level);
+  }
+
+  if (format === 'json') {
+    return {
+      target: 'pino/file',
+      options: { destination: stream, mkdir: true },
+      level
+    };
+  }
+
+  return {
+    target: 'pino-pretty',
+    options: {
+      ...PRETTY_OPTIONS,
+      ...(format === 'text' && { colorize: false, singleLine: true }),
+      destination: stream,
+      mkdir: true
+    },
+    level
+  };
+};
+
+/**
+ * Read LOG_DESTINATIONS, an array of destinations (or its JSON) set through configure() or the environment
+ * @returns {object[]}
+ */
+const getDestinations = () => {
+  const configured = getConfigValue('LOG_DESTINATIONS');
+  if (!configured) return [];
+
+  const destinations = typeof configured === 'string' ? JSON.parse(configured) : configured;
+  return Array.isArray(destinations) ? destinations : [destinations];
+};
+
+// LOG_DESTINATIONS builds a multi-target transport, formatted once in the main thread
+const getTransport = () => {
+  const destinations = getDestinations();
+  if (destinations.length > 0) {
+    return { targets: destinations.map(getDestinationTarget) };
+  }
+
+  return getConfigValue('LOG_EXPORTER') === 'otlp' ? getOtlpTransport() : getDefaultTransport();
+};
+
+const getDefaultTransport = () => {
+  const isPretty = getConfigValue('LOG_FORMAT') === 'pretty';
+  return {
+    target: isPretty ? 'pino-pretty' : 'pino/file',
+    options: isPretty ? PRETTY_OPTIONS : {
+      destination: process.stdout.fd,
+      sync: false,
+      mkdir: true,
+      messageKey: 'message',
+      timestamp: true,
+      minLength: 1024,
+      flushInterval: 100,
+      worker: {
+        idleTimeout: 1000,
+        queueSize: 1024
+      }
+    }
+  };
+};
+
+module.exports = getTransport;
+module.exports.getDestinationTarget = getDestinationTarget;
@@ -1,8 +1,9 @@
 // src/middleware/error-logger.js
-const { logger: baseLogger } = require('../logger');
+const { logger: baseLogger, runWithLoggerConfig } = require('../logger');
 const RequestContext = require('../context');
 const { serializers } = require('../utils/serializers');
 const { formatJsonLog } = require('../utils/formatters');
+const { extractJwtIdentity, resolveIdentity } = require('../utils/identity');
 
 /**
  * Create error logger middleware with custom options
@@ -15,15 +16,20 @@ const createErrorLogger = (options = {}) => {
         logStackTrace = true,
         includeBody = false,
         getErrorContext,
+        getIdentity = extractJwtIdentity,
         baseLogData = {},
         ...otherOptions
     } = options;
 
-    return (err, req, res, next) => {
+    return (err, req, res, next) => runWithLoggerConfig(logger, () => {
         const context = RequestContext.get();
+        if (context && !context.identity) {
+            context.identity = resolveIdentity(req, getIdentity);
+        }
         
         // Build error metadata
         const errorMetadata = {
+            ...context?.getLogMetadata(),
             msg: err.message || 'Request error',
             type: 'error',
             logLevel: 'error',
@@ -38,6 +44,7 @@ const createErrorLogger = (options = {}) => {
             requestId: context?.requestId,
             traceId: context?.traceId,
             spanId: context?.spanId,
+            ...(context?.identity && { identity: context.identity }),
             path: req.path,
             method: req.method,
             logSource: 'exception',
@@ -61,7 +68,7 @@ const createErrorLogger = (options = {}) => {
         logger.error(formattedError);
 
         next(err);
-    };
+    });
 };
 
 // Export default middleware and factory function
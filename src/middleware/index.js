@@ -9,9 +9,12 @@ const {
   createErrorLogger
 } = require('./error-logger');
 
+const { withJobContext } = require('./job-context');
+
 module.exports = {
   requestLoggerMiddleware,
   createRequestLogger,
   errorLoggerMiddleware,
-  createErrorLogger
+  createErrorLogger,
+  withJobContext
 };
\ No newline at end of file
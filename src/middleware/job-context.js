@@ -0,0 +1,77 @@
+// src/middleware/job-context.js
+const { logger: baseLogger, runWithLoggerConfig } = require('../logger');
+const asyncLocalStorage = require('../context/async-context');
+const RequestContext = require('../context');
+const { serializers } = require('../utils/serializers');
+const { formatJsonLog } = require('../utils/formatters');
+const { SERVICE_NAME } = require('../config/constants');
+
+/**
+ * Run a scheduled task or queue consumer inside its own logging context,
+ * logging job_start and job_end with duration and outcome
+ * @param {string} name - Job name
+ * @param {function} fn - Job function, receives the job context, may return a promise
+ * @param {object} options - Configuration options
+ * @param {object} options.logger - Logger for the job logs (defaults to the base logger)
+ * @param {object} options.carrier - Carrier of the enqueuing request (RequestContext#toCarrier) to continue its trace
+ * @param {object} options.baseLogData - Extra fields added to job_start/job_end
+ * @returns {Promise<any>} Result of fn, rejects with its error
+ */
+const withJobContext = async (name, fn, options = {}) => runWithLoggerConfig(options.logger || baseLogger, () => {
+    const {
+        logger = baseLogger,
+        carrier,
+        baseLogData = {}
+    } = options;
+
+    // Without a carrier this starts a new trace and request id
+    const context = RequestContext.fromCarrier(carrier);
+    const jobLogData = {
+        requestId: context.requestId,
+        traceId: context.traceId,
+        spanId: context.spanId,
+        ...(context.parentSpanId && { parentSpanId: context.parentSpanId }),
+        ...(context.sampled !== undefined && { sampled: context.sampled }),
+        service: SERVICE_NAME(),
+        ...baseLogData
+    };
+
+    return asyncLocalStorage.run(context, async () => {
+        logger.info(formatJsonLog({
+            ...jobLogData,
+            message: `Job ${name} started`,
+            type: 'job_start',
+            logLevel: 'info',
+            job: { name }
+        }));
+
+        const logEnd = (error) => {
+            const level = error ? 'error' : 'info';
+            logger[level](formatJsonLog({
+                ...jobLogData,
+                message: `Job ${name} ${error ? 'failed' : 'completed'}`,
+                type: 'job_end',
+                logLevel: level,
+                job: {
+                    name,
+                    outcome: error ? 'failure' : 'success',
+                    durationMs: parseFloat(context.getElapsedMs())
+                },
+                ...(error && { error: serializers.err(error) })
+            }));
+        };
+
+        try {
+            const result = await fn(context);
+            logEnd();
+            return result;
+        } catch (error) {
+            logEnd(error);
+            throw error;
+        }
+    });
+});
+
+module.exports = {
+    withJobContext
+};
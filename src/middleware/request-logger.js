@@ -1,11 +1,21 @@
 // src/middleware/request-logger.js
-const { logger: baseLogger } = require('../logger');
+const { logger: baseLogger, runWithLoggerConfig } = require('../logger');
 const asyncLocalStorage = require('../context/async-context');
 const RequestContext = require('../context');
+const { serializeBaggage } = require('../context/baggage');
+const { injectTraceContext } = require('../context/propagators');
 const { serializers } = require('../utils/serializers');
 const { sanitizeBody } = require('../utils/sanitizers');
 const { formatJsonLog } = require('../utils/formatters');
-const { shouldExcludePath, SERVICE_NAME, getConfigValue, SLOW_RESPONSE_THRESHOLD_MS } = require('../config/constants');
+const { extractJwtIdentity, resolveIdentity } = require('../utils/identity');
+const { resolveDebugLevel } = require('../utils/debug-token');
+const {
+    shouldExcludePath,
+    getRequestIdResponseHeader,
+    LOG_LEVELS,
+    SERVICE_NAME,
+    getConfigValue
+} = require('../config/constants');
 
 class RequestMetrics {
     constructor(startTime) {
@@ -27,7 +37,7 @@ class RequestMetrics {
     }
 
     getDiagnostics(responseTimeMs) {
-        const thresholdMs = SLOW_RESPONSE_THRESHOLD_MS;
+        const thresholdMs = getConfigValue('SLOW_RESPONSE_THRESHOLD_MS');
         if (responseTimeMs < thresholdMs) return null;
 
         const endMemory = process.memoryUsage();
@@ -75,6 +85,8 @@ class HttpLogger {
             requestId: context.requestId,
             traceId: context.traceId,
             spanId: context.spanId,
+            ...(context.parentSpanId && { parentSpanId: context.parentSpanId }),
+            ...(context.sampled !== undefined && { sampled: context.sampled }),
             service: SERVICE_NAME(),
             ...options.baseLogData
         };
@@ -92,8 +104,9 @@ class HttpLogger {
             ...serializedReq,
             target_service: options.getTargetService?.(req) || 
                           req.path.split('/')[1] || 'unknown',
+            ...(options.identity && { identity: options.identity }),
             httpRequest: this.createHttpRequestObject(req),
-            LOG_TYPE: baseLogData.LOG_TYPE || getConfigValue('LOG_TYPE', 'gcp')
+            LOG_TYPE: baseLogData.LOG_TYPE || getConfigValue('LOG_TYPE')
         });
     }
 
@@ -135,6 +148,7 @@ class HttpLogger {
         delete httpRequest.requestBody;
 
         const logData = {
+            ...options.metadata,
             ...baseLogData,
             type: 'response',
             logLevel: level,
@@ -145,7 +159,8 @@ class HttpLogger {
                       sanitizeBody(responseBody.toString('utf8')) : undefined,
             },
             httpRequest,
-            LOG_TYPE: baseLogData.LOG_TYPE || getConfigValue('LOG_TYPE', 'gcp')
+            ...(options.identity && { identity: options.identity }),
+            LOG_TYPE: baseLogData.LOG_TYPE || getConfigValue('LOG_TYPE')
         };
 
         if (options.diagnostics) {
@@ -158,22 +173,17 @@ class HttpLogger {
     static setTraceHeaders(res, context) {
         if (!context.traceContext) return;
 
-        const logType = getConfigValue('LOG_TYPE', 'gcp');
+        const headers = injectTraceContext(context.traceContext, {});
 
-        const headers = {};
-
-        if (logType === 'aws') {
-            const XAmznTraceId = context.traceContext.toAwsTraceId();
-            headers['x-amzn-trace-id'] = XAmznTraceId;
-            headers['x-cloud-trace-context'] = XAmznTraceId;
-        } else {
-            headers.traceparent = context.traceContext.toTraceParent();
-            headers['x-cloud-trace-context'] = context.traceContext.toCloudTrace();
+        const baggage = serializeBaggage(context.baggage);
+        if (baggage) {
+            headers.baggage = baggage;
+        }
 
-            const tracestate = context.traceContext.toTraceState();
-            if (tracestate) {
-                headers.tracestate = tracestate;
-            }
+        // Echo the request id so clients can quote it when reporting issues
+        const requestIdHeader = getRequestIdResponseHeader();
+        if (requestIdHeader && context.requestId) {
+            headers[requestIdHeader] = context.requestId;
         }
 
         Object.entries(headers).forEach(([key, value]) => {
@@ -193,6 +203,8 @@ class ResponseInterceptor {
         this.totalBytes = 0;
         this.truncated = false;
         this.metrics = new RequestMetrics(process.hrtime());
+        // Metadata set by handlers is read when the response ends
+        this.context = RequestContext.current();
         
         this.writeInterceptor = this.writeInterceptor.bind(this);
         this.endInterceptor = this.endInterceptor.bind(this);
@@ -246,6 +258,11 @@ class ResponseInterceptor {
                 Buffer.from(`... [TRUNCATED - response exceeded ${MAX_RESPONSE_BUFFER_BYTES / 1024}KB]`)
             ]);
         }
+        // Auth middleware usually runs after the logger, so retry identity lookup at the end
+        if (this.context && !this.context.identity) {
+            this.context.identity = resolveIdentity(this.req, this.options.getIdentity);
+        }
+
         const level = HttpLogger.getLogLevel(this.res.statusCode);
         const responseLog = HttpLogger.createResponseLog(
             this.req,
@@ -253,7 +270,12 @@ class ResponseInterceptor {
             responseTime,
             this.baseLogData,
             responseBody,
-            { ...this.options, diagnostics }
+            {
+                ...this.options,
+                diagnostics,
+                metadata: this.context?.getLogMetadata(),
+                identity: this.context?.identity
+            }
         );
 
         this.req.log[level](responseLog);
@@ -278,11 +300,13 @@ const createRequestLogger = (options = {}) => {
         logResponseBody = true,
         omitRequestPayloadInResponse = false,
         getTargetService,
+        getIdentity = extractJwtIdentity,
         baseLogData = {},
         ...otherOptions
     } = options;
 
-    return (req, res, next) => {
+    // Runs with the logger's configure() instance config, down to the route handlers
+    return (req, res, next) => runWithLoggerConfig(logger, () => {
         if (shouldExcludePath(req.path, excludePaths)) {
             return next();
         }
@@ -297,33 +321,33 @@ const createRequestLogger = (options = {}) => {
                 // Attach logger to request
                 // Any "normal" logs emitted via req.log.* should be tagged as request logs by default.
                 // Response logs explicitly pass `type: 'response'`, which will override this binding.
-                req.log = logger.child({ ...contextLogData });
+                // A valid debug token lowers the level for this request only
+                context.logLevel = resolveDebugLevel(req);
+                const lowersLevel = Boolean(context.logLevel)
+                    && Number.isFinite(logger.levelVal)
+                    && LOG_LEVELS[context.logLevel] < logger.levelVal;
+                req.log = lowersLevel
+                    ? logger.child({ ...contextLogData }, { level: context.logLevel })
+                    : logger.child({ ...contextLogData });
 
                 // Add trace headers to request for forwarding to downstream services
-                if (context.traceContext) {
-                    const logType = getConfigValue('LOG_TYPE', 'gcp');
-
-                    if (logType === 'aws') {
-                        const XAmznTraceId = context.traceContext.toAwsTraceId();
-                        req.headers['x-amzn-trace-id'] = XAmznTraceId;
-                        req.headers['x-cloud-trace-context'] = XAmznTraceId;
-                    } else {
-                        req.headers.traceparent = context.traceContext.toTraceParent();
-                        req.headers['x-cloud-trace-context'] = context.traceContext.toCloudTrace();
-
-                        const tracestate = context.traceContext.toTraceState();
-                        if (tracestate) {
-                            req.headers.tracestate = tracestate;
-                        }
-                    }
-                }
+                injectTraceContext(context.traceContext, req.headers);
+
+                context.identity = resolveIdentity(req, getIdentity);
+
+                // Unsampled requests only get the response summary (errors are logged by the error logger),
+                // unless they carry a debug token
+                const sampledOut = context.sampled === false && !context.logLevel;
 
                 // Log initial request
-                const requestLog = HttpLogger.createRequestLog(req, contextLogData, {
-                    getTargetService,
-                    ...otherOptions
-                });
-                req.log.info(requestLog);
+                if (!sampledOut) {
+                    const requestLog = HttpLogger.createRequestLog(req, contextLogData, {
+                        getTargetService,
+                        identity: context.identity,
+                        ...otherOptions
+                    });
+                    req.log.info(requestLog);
+                }
 
                 // Set trace headers on response
                 HttpLogger.setTraceHeaders(res, context);
@@ -332,7 +356,9 @@ const createRequestLogger = (options = {}) => {
                 new ResponseInterceptor(res, req, contextLogData, {
                     logResponseBody,
                     omitRequestPayloadInResponse,
-                    ...otherOptions
+                    getIdentity,
+                    ...otherOptions,
+                    ...(sampledOut && { logResponseBody: false })
                 }).setup();
 
                 next();
@@ -345,7 +371,7 @@ const createRequestLogger = (options = {}) => {
                 next(error);
             }
         });
-    };
+    });
 };
 
 // Export default middleware and factory function
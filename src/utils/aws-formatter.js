@@ -51,7 +51,7 @@ const formatAwsLog = (object) => {
         return object;
     }
 
-    const logType = object.LOG_TYPE || object.logType || getConfigValue('LOG_TYPE', 'gcp');
+    const logType = object.LOG_TYPE || object.logType || getConfigValue('LOG_TYPE');
     
     if (logType !== 'aws') {
         return object;
@@ -61,7 +61,7 @@ const formatAwsLog = (object) => {
     const {
         pid, hostname, level, levelNumber, time, timestamp,
         msg, message, severity, requestId, service,
-        traceId, spanId,
+        traceId, spanId, parentSpanId, sampled,
         method, url, path, params, remoteAddress, headers, request_payload,
         httpRequest, response,
         type, target_service, instance, region, account_id,
@@ -130,13 +130,18 @@ const formatAwsLog = (object) => {
     if (traceId) {
         const awsTraceId = convertToAwsXRayTraceId(traceId, result.timestamp);
         result.traceId = awsTraceId; // Replace traceId with AWS format
-        result['x-amzn-trace-id'] = generateXAmznTraceId(awsTraceId, spanId);
-        result.sampled = true;
+        result['x-amzn-trace-id'] = generateXAmznTraceId(awsTraceId, spanId, sampled !== false);
+        result.sampled = sampled !== false;
     }
     
     if (spanId) {
         result.spanId = spanId.replace(/[^0-9a-f]/gi, '').slice(0, 16).padStart(16, '0').toLowerCase();
     }
+
+    // Upstream segment id, i.e. the Parent of the incoming X-Amzn-Trace-Id
+    if (parentSpanId) {
+        result.parentSpanId = parentSpanId.replace(/[^0-9a-f]/gi, '').slice(0, 16).padStart(16, '0').toLowerCase();
+    }
     
     const requestMethod = method || httpRequest?.requestMethod;
     const requestUrl = url || path || httpRequest?.requestUrl;
@@ -0,0 +1,111 @@
+// src/utils/debug-token.js
+const crypto = require('crypto');
+const { getConfigValue } = require('../config/constants');
+
+// Levels a debug token may raise a request to
+const DEBUG_LEVELS = ['debug', 'trace'];
+
+const debugTokenStats = {
+    accepted: 0,
+    rejected: 0
+};
+
+const sign = (payload, secret) => crypto
+    .createHmac('sha256', String(secret))
+    .update(payload)
+    .digest('hex');
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Create a token for the LOG_DEBUG_HEADER, "<expiresAt>.<level>.<hmac>"
+ * @param {object} options
+ * @param {string} options.level - debug or trace
+ * @param {number} options.ttlSeconds - Lifetime of the token
+ * @param {string} options.secret - HMAC secret, defaults to LOG_DEBUG_SECRET
+ * @returns {string}
+ */
+const createDebugToken = (options = {}) => {
+    const {
+        level = 'debug',
+        ttlSeconds = 15 * 60,
+        secret = getConfigValue('LOG_DEBUG_SECRET')
+    } = options;
+
+    if (!secret) {
+        throw new Error('LOG_DEBUG_SECRET is required to create debug tokens');
+    }
+    if (!DEBUG_LEVELS.includes(level)) {
+        throw new Error(`Debug token level must be one of ${DEBUG_LEVELS.join(', ')}`);
+    }
+
+    const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const payload = `${expiresAt}.${level}`;
+    return `${payload}.${sign(payload, secret)}`;
+};
+
+/**
+ * Verify a debug token
+ * @param {string} token
+ * @param {string} secret - HMAC secret, defaults to LOG_DEBUG_SECRET
+ * @returns {string|null} The level it grants, null when malformed, forged or expired
+ */
+const verifyDebugToken = (token, secret = getConfigValue('LOG_DEBUG_SECRET')) => {
+    if (!secret || typeof token !== 'string') return null;
+
+    const parts = token.trim().split('.');
+    if (parts.length !== 3) return null;
+
+    const [expiresAt, level, signature] = parts;
+    if (!/^\d+$/.test(expiresAt) || !DEBUG_LEVELS.includes(level)) return null;
+    if (!safeEqual(signature, sign(`${expiresAt}.${level}`, secret))) return null;
+    if (Number(expiresAt) * 1000 <= Date.now()) return null;
+
+    return level;
+};
+
+/**
+ * Read the debug level granted to a request by the LOG_DEBUG_HEADER (default x-debug-log).
+ * Invalid tokens are ignored and counted in the debug token stats.
+ * @param {Express.Request} req
+ * @returns {string|undefined} debug or trace, undefined when absent or invalid
+ */
+const resolveDebugLevel = (req) => {
+    const secret = getConfigValue('LOG_DEBUG_SECRET');
+    const header = getConfigValue('LOG_DEBUG_HEADER').toLowerCase();
+    const token = req?.headers?.[header];
+    if (!secret || !token) return undefined;
+
+    const level = verifyDebugToken(token, secret);
+    if (!level) {
+        debugTokenStats.rejected += 1;
+        return undefined;
+    }
+
+    debugTokenStats.accepted += 1;
+    return level;
+};
+
+/**
+ * Get the number of accepted and rejected debug tokens
+ * @returns {object} { accepted, rejected }
+ */
+const getDebugTokenStats = () => ({ ...debugTokenStats });
+
+const resetDebugTokenStats = () => {
+    debugTokenStats.accepted = 0;
+    debugTokenStats.rejected = 0;
+};
+
+module.exports = {
+    DEBUG_LEVELS,
+    createDebugToken,
+    verifyDebugToken,
+    resolveDebugLevel,
+    getDebugTokenStats,
+    resetDebugTokenStats
+};
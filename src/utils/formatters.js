@@ -1,8 +1,5 @@
 // src/utils/formatters.js
 const { 
-  LOG_FORMAT, 
-  PROJECT_ID, 
-  LOGGER_NAME, 
   SEVERITY_LEVEL ,
   SERVICE_NAME,
   LOGGER_CONSTANTS,
@@ -28,7 +25,7 @@ const getEffectiveLoggerName = (logSource) => {
 * @param {string} loggerName - Logger name
 * @returns {string} Full log name
 */
-const getCloudLogName = (projectId = PROJECT_ID, loggerName = LOGGER_NAME) => {
+const getCloudLogName = (projectId = getConfigValue('PROJECT_ID'), loggerName = getConfigValue('LOGGER_NAME')) => {
   if (!projectId) return loggerName;
   return `projects/${projectId}/logs/${loggerName}`;
 };
@@ -39,7 +36,7 @@ const getCloudLogName = (projectId = PROJECT_ID, loggerName = LOGGER_NAME) => {
 * @param {string} loggerName - Logger name
 * @returns {object} Resource labels
 */
-const getResourceLabels = (projectId = PROJECT_ID, loggerName = LOGGER_NAME) => {
+const getResourceLabels = (projectId = getConfigValue('PROJECT_ID'), loggerName = getConfigValue('LOGGER_NAME')) => {
   return {
       project_id: projectId,
       logger_name: loggerName,
@@ -51,7 +48,7 @@ const getResourceLabels = (projectId = PROJECT_ID, loggerName = LOGGER_NAME) =>
 */
 const formatters = {
   level: (label, number) => {
-      const logType = getConfigValue('LOG_TYPE', 'gcp');
+      const logType = getConfigValue('LOG_TYPE');
       
       // Map pino level numbers to AWS severity
       const levelToSeverity = {
@@ -79,7 +76,7 @@ const formatters = {
 
   bindings: (bindings) => {
       // Check LOG_TYPE - if AWS, don't add GCP-specific fields
-      const logType = getConfigValue('LOG_TYPE', 'gcp');
+      const logType = getConfigValue('LOG_TYPE');
       
       if (logType === 'aws') {
           // For AWS, only return basic fields
@@ -103,7 +100,7 @@ const formatters = {
 
   log: (object) => {
       // Check LOG_TYPE - if AWS, apply AWS formatting with level info now available
-      const logType = object.LOG_TYPE || object.logType || getConfigValue('LOG_TYPE', 'gcp');
+      const logType = object.LOG_TYPE || object.logType || getConfigValue('LOG_TYPE');
       
       if (logType === 'aws') {
           const isHttpLog = object?.type === 'request' || object?.type === 'response';
@@ -132,7 +129,7 @@ const formatters = {
 * Check if JSON format is enabled
 * @returns {boolean}
 */
-const isJsonFormat = () => LOG_FORMAT === 'json';
+const isJsonFormat = () => getConfigValue('LOG_FORMAT') === 'json';
 
 /**
 * Format log entry for cloud logging
@@ -143,14 +140,14 @@ const isJsonFormat = () => LOG_FORMAT === 'json';
 const formatJsonLog = (log, options = {}) => {
   if (!log) return log;
   
-  const logType = log.LOG_TYPE || log.logType || getConfigValue('LOG_TYPE', 'gcp');
+  const logType = log.LOG_TYPE || log.logType || getConfigValue('LOG_TYPE');
   
   if (logType === 'aws') {
       return formatAwsLog(log);
   }
   
   const {
-      projectId = PROJECT_ID,
+      projectId = getConfigValue('PROJECT_ID'),
       includeResource = true,
       includeTrace = true,
   } = options;
@@ -163,7 +160,10 @@ const formatJsonLog = (log, options = {}) => {
           'logging.googleapis.com/trace': projectId 
               ? `projects/${projectId}/traces/${log.traceId}`
               : log.traceId,
-          'logging.googleapis.com/spanId': log.spanId
+          'logging.googleapis.com/spanId': log.spanId,
+          ...(typeof log.sampled === 'boolean' && {
+              'logging.googleapis.com/trace_sampled': log.sampled
+          })
       }),
       
       // Add resource information if enabled
@@ -176,6 +176,7 @@ const formatJsonLog = (log, options = {}) => {
                 requestId: log.requestId,
                 service: SERVICE_NAME(),
                 logName: getCloudLogName(projectId),
+                ...(log.parentSpanId && { parentSpanId: log.parentSpanId }),
             },
             resource: {
                 type: 'global',
@@ -210,6 +211,8 @@ const formatJsonLog = (log, options = {}) => {
   delete formatted.service;
   delete formatted.traceId;
   delete formatted.spanId;
+  delete formatted.parentSpanId;
+  delete formatted.sampled;
   delete formatted.sourceLocation;
   delete formatted.operation;
   delete formatted.httpRequest;
@@ -0,0 +1,232 @@
+// src/utils/http-instrumentation.js
+const http = require('http');
+const https = require('https');
+const { logger: defaultLogger } = require('../logger');
+const asyncLocalStorage = require('../context/async-context');
+const { formatJsonLog } = require('./formatters');
+const { serializers } = require('./serializers');
+const { SERVICE_NAME } = require('../config/constants');
+
+const originalHttp = {
+    request: http.request,
+    get: http.get
+};
+
+const originalHttps = {
+    request: https.request,
+    get: https.get
+};
+
+const originalFetch = global.fetch;
+
+let activeLogger = null;
+
+const getLogLevel = (statusCode, error) => {
+    if (error) return 'error';
+    const category = Math.floor((statusCode || 0) / 100);
+    return category === 5 ? 'error' :
+           category === 4 ? 'warn' :
+           'info';
+};
+
+const getElapsedMs = (startTime) => {
+    const diff = process.hrtime(startTime);
+    return parseFloat((diff[0] * 1e3 + diff[1] * 1e-6).toFixed(2));
+};
+
+/**
+ * Copy trace headers of the child context onto an outgoing request,
+ * leaving any header the caller already set untouched
+ * @param {RequestContext} childContext - Context of the outbound span
+ * @param {function} getHeader - Reads a header from the outgoing request
+ * @param {function} setHeader - Writes a header to the outgoing request
+ */
+const injectTraceHeaders = (childContext, getHeader, setHeader) => {
+    const traceHeaders = childContext.addTraceHeaders({});
+    Object.entries(traceHeaders).forEach(([name, value]) => {
+        if (value && !getHeader(name)) {
+            setHeader(name, value);
+        }
+    });
+};
+
+/**
+ * Emit an outbound log entry inside the child context so it carries the child spanId
+ * @param {object} loggerInstance - Logger to write to
+ * @param {RequestContext} childContext - Context of the outbound span
+ * @param {string} level - Log level
+ * @param {object} data - Outbound log data
+ */
+const logOutbound = (loggerInstance, childContext, level, data) => {
+    const logData = formatJsonLog({
+        ...data,
+        logLevel: level,
+        requestId: childContext.requestId,
+        traceId: childContext.traceId,
+        spanId: childContext.spanId,
+        parentSpanId: childContext.parentSpanId,
+        service: SERVICE_NAME()
+    });
+
+    asyncLocalStorage.run(childContext, () => loggerInstance[level](logData));
+};
+
+/**
+ * Track a single outbound call, logging the request and, once, its outcome
+ * @param {RequestContext} parentContext - Context of the incoming request
+ * @param {object} target - Method, host and path of the outbound call
+ * @returns {object} Tracker with the child context and completion callbacks
+ */
+const trackOutbound = (parentContext, target) => {
+    const loggerInstance = activeLogger;
+    const childContext = parentContext.createChildContext();
+    const startTime = process.hrtime();
+    let completed = false;
+
+    logOutbound(loggerInstance, childContext, 'info', {
+        message: `Outbound request ${target.method} ${target.host}${target.path}`,
+        type: 'outbound_request',
+        outbound: { ...target }
+    });
+
+    const complete = (statusCode, error) => {
+        if (completed) return;
+        completed = true;
+
+        const level = getLogLevel(statusCode, error);
+        logOutbound(loggerInstance, childContext, level, {
+            message: error
+                ? `Outbound request failed ${target.method} ${target.host}${target.path}`
+                : `Outbound response ${statusCode} ${target.method} ${target.host}${target.path}`,
+            type: 'outbound_response',
+            outbound: {
+                ...target,
+                statusCode,
+                response_time_ms: getElapsedMs(startTime)
+            },
+            ...(error && { error: serializers.err(error) })
+        });
+    };
+
+    return {
+        childContext,
+        onResponse: (statusCode) => complete(statusCode),
+        onError: (error) => complete(undefined, error)
+    };
+};
+
+const instrumentRequest = (originalRequest) => function instrumentedRequest(...args) {
+    const parentContext = asyncLocalStorage.getStore();
+    if (!parentContext || !activeLogger) {
+        return originalRequest.apply(this, args);
+    }
+
+    const clientRequest = originalRequest.apply(this, args);
+    const tracker = trackOutbound(parentContext, {
+        method: clientRequest.method,
+        host: clientRequest.host || clientRequest.getHeader('host'),
+        path: clientRequest.path
+    });
+
+    if (!clientRequest.headersSent) {
+        try {
+            injectTraceHeaders(
+                tracker.childContext,
+                (name) => clientRequest.getHeader(name),
+                (name, value) => clientRequest.setHeader(name, value)
+            );
+        } catch (error) {
+            // Headers were already flushed (e.g. raw header arrays), send the call as-is
+        }
+    }
+
+    clientRequest.once('response', (res) => tracker.onResponse(res.statusCode));
+
+    // Record failures without adding an 'error' listener, so an unhandled error still throws
+    const emit = clientRequest.emit;
+    clientRequest.emit = function instrumentedEmit(event, ...eventArgs) {
+        if (event === 'error') tracker.onError(eventArgs[0]);
+        return emit.call(this, event, ...eventArgs);
+    };
+
+    return clientRequest;
+};
+
+const instrumentGet = (httpModule) => function instrumentedGet(...args) {
+    const clientRequest = httpModule.request(...args);
+    clientRequest.end();
+    return clientRequest;
+};
+
+const getFetchTarget = (input, init, isRequestObject) => {
+    const method = String(init.method || (isRequestObject ? input.method : 'GET')).toUpperCase();
+    const rawUrl = isRequestObject ? input.url : String(input);
+
+    try {
+        const url = new URL(rawUrl);
+        return { method, host: url.host, path: `${url.pathname}${url.search}` };
+    } catch (error) {
+        return { method, host: '', path: rawUrl };
+    }
+};
+
+const instrumentFetch = (fetchFn) => async function instrumentedFetch(input, fetchInit) {
+    const parentContext = asyncLocalStorage.getStore();
+    if (!parentContext || !activeLogger) {
+        return fetchFn.call(this, input, fetchInit);
+    }
+
+    const init = fetchInit || {};
+    const isRequestObject = typeof Request !== 'undefined' && input instanceof Request;
+    const headers = new Headers(init.headers || (isRequestObject ? input.headers : undefined));
+    const tracker = trackOutbound(parentContext, getFetchTarget(input, init, isRequestObject));
+
+    injectTraceHeaders(
+        tracker.childContext,
+        (name) => headers.get(name),
+        (name, value) => headers.set(name, value)
+    );
+
+    try {
+        const response = await fetchFn.call(this, input, { ...init, headers });
+        tracker.onResponse(response.status);
+        return response;
+    } catch (error) {
+        tracker.onError(error);
+        throw error;
+    }
+};
+
+/**
+ * Instrument outgoing http/https requests and global fetch.
+ * Calls made inside a request context get trace headers of a child span
+ * and an outbound_request/outbound_response log pair.
+ * @param {object} loggerInstance - Logger used for outbound logs
+ */
+const enableHttpInstrumentation = (loggerInstance = defaultLogger) => {
+    activeLogger = loggerInstance;
+
+    http.request = instrumentRequest(originalHttp.request);
+    http.get = instrumentGet(http);
+    https.request = instrumentRequest(originalHttps.request);
+    https.get = instrumentGet(https);
+
+    if (typeof originalFetch === 'function') {
+        global.fetch = instrumentFetch(originalFetch);
+    }
+};
+
+const disableHttpInstrumentation = () => {
+    activeLogger = null;
+
+    http.request = originalHttp.request;
+    http.get = originalHttp.get;
+    https.request = originalHttps.request;
+    https.get = originalHttps.get;
+
+    if (typeof originalFetch === 'function') {
+        global.fetch = originalFetch;
+    }
+};
+
+module.exports = { enableHttpInstrumentation, disableHttpInstrumentation };
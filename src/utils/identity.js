@@ -0,0 +1,68 @@
+// src/utils/identity.js
+const { getIdentityClaims } = require('../config/constants');
+const { sanitizeBody } = require('./sanitizers');
+
+/**
+ * Decode the payload of a JWT without verifying its signature.
+ * Only for logging: never make access decisions on the result.
+ * @param {string} token - Compact JWT
+ * @returns {object|null} Claims, or null when the token is malformed
+ */
+const decodeJwtPayload = (token) => {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) return null;
+
+    try {
+        const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+        const payload = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+        return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : null;
+    } catch (_e) {
+        return null;
+    }
+};
+
+/**
+ * Built-in identity extractor: picks LOG_IDENTITY_CLAIMS (default sub, iss, tenant, exp)
+ * from the Bearer JWT of the authorization header
+ * @param {Express.Request} req
+ * @returns {object|null}
+ */
+const extractJwtIdentity = (req) => {
+    const authorization = req?.headers?.authorization;
+    const match = typeof authorization === 'string' && /^Bearer\s+(\S+)$/i.exec(authorization.trim());
+    const claims = match ? decodeJwtPayload(match[1]) : null;
+    if (!claims) return null;
+
+    const identity = Object.fromEntries(
+        getIdentityClaims()
+            .filter(claim => claims[claim] !== undefined)
+            .map(claim => [claim, claims[claim]])
+    );
+    return Object.keys(identity).length > 0 ? identity : null;
+};
+
+/**
+ * Resolve the identity of a request with a getIdentity hook.
+ * Hook errors are swallowed so identity lookup can never fail a request.
+ * @param {Express.Request} req
+ * @param {function} getIdentity - (req) => object|null, defaults to the JWT extractor
+ * @returns {object|null} Sanitized identity
+ */
+const resolveIdentity = (req, getIdentity = extractJwtIdentity) => {
+    if (typeof getIdentity !== 'function') return null;
+
+    try {
+        const identity = getIdentity(req);
+        return identity && typeof identity === 'object' && Object.keys(identity).length > 0
+            ? sanitizeBody(identity)
+            : null;
+    } catch (_e) {
+        return null;
+    }
+};
+
+module.exports = {
+    decodeJwtPayload,
+    extractJwtIdentity,
+    resolveIdentity
+};